@@ -0,0 +1,487 @@
+import { loadBrandRegistry } from '../src/brands.js';
+import { canonicalizeLocale, localeChain, truncations } from '../src/locale.js';
+import { createFormatter } from '../src/format.js';
+import { buildSystemData, buildEventDetails } from '../src/systemData.js';
+import { getTranslator, notificationCopy } from '../src/i18n.js';
+import {
+  NOTIFICATION_IDS,
+  DEFAULT_PARTIALS,
+  templateCandidates,
+  subjectCandidates,
+  partialCandidates
+} from '../src/renderEmail.js';
+import { renderTemplate, parseTemplate, helperNames } from '../src/utils/templating.js';
+import { openStore, createTemplateStoreFromEnv } from '../src/templateStore.js';
+
+/*
+ * Template lint + coverage check. Walks every brand × notification × locale × service
+ * and every template file under the root, and reports:
+ *
+ *   - missing templates / subject files, and locales that silently fall back to another one
+ *     (a notification the catalog covers is a warning: its plain catalog copy is sent)
+ *   - hand-written text parts (<locale>.txt) without an HTML template beside them
+ *   - Handlebars syntax errors, unknown helpers/partials
+ *   - placeholders that are not in the systemData schema (src/systemData.js + renderEmail additions)
+ *   - HTML problems (unbalanced tags, <script>, javascript: links, images without alt, http:// assets)
+ *   - BOMs and rendered output over --max-bytes (Gmail clips messages above ~102 KB)
+ *
+ * Usage:
+ *   node scripts/lint-templates.js [--root gs://bucket|./dir] [--brands a,b] [--services x,y]
+ *                                  [--max-bytes 102000] [--strict] [--json]
+ *
+ * Without --root the same layered store as the webhook is linted (TEMPLATES_DIR >
+ * TEMPLATES_BUCKET > ./templates). Exit code: 1 on errors (or warnings with --strict),
+ * 2 when the run itself could not start (bad args, unreadable registry or root).
+ */
+
+const DEFAULT_SERVICE = 'invoice-paid'; // what index.js uses when no service metadata is set
+const OPEN = Symbol('open'); // schema node that accepts any sub-path (brand JSON is free-form)
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// end tags HTML lets you omit; email templates often do
+const OPTIONAL_END = new Set(['p', 'li', 'td', 'th', 'tr', 'tbody', 'thead', 'tfoot', 'option', 'colgroup', 'dt', 'dd']);
+
+/* ---------- sample data (mirrors what index.js passes to renderEmail) ---------- */
+
+const SAMPLE_INVOICE = {
+  id: 'in_sample',
+  number: 'INV-0001',
+  currency: 'eur',
+  amount_due: 12300,
+  amount_paid: 12300,
+  amount_remaining: 0,
+  subtotal: 10500,
+  subtotal_excluding_tax: 10500,
+  tax: 2300,
+  total: 12300,
+  total_excluding_tax: 10000,
+  total_discount_amounts: [{ amount: 500 }],
+  created: 1714518000,
+  due_date: 1715727600,
+  paid: true,
+  status_transitions: { paid_at: 1714518000 },
+  attempt_count: 2,
+  next_payment_attempt: 1714777200,
+  customer_name: 'Jane Customer',
+  customer_email: 'jane@example.com',
+  customer_address: { line1: 'Main St 1', line2: 'Apt 2', postal_code: '00-001', city: 'Warsaw', country: 'PL' },
+  customer_tax_ids: [{ value: 'PL1234567890' }],
+  hosted_invoice_url: 'https://invoice.stripe.com/i/sample',
+  invoice_pdf: 'https://pay.stripe.com/invoice/sample/pdf',
+  payment_intent: { last_payment_error: { message: 'Your card was declined.' } },
+  lines: {
+    data: [
+      {
+        type: 'subscription',
+        description: 'Pro plan',
+        quantity: 1,
+        amount: 10500,
+        price: { unit_amount: 10500, product: { name: 'Pro' } },
+        tax_amounts: [{ amount: 2300 }],
+        discount_amounts: [{ amount: 500 }],
+        period: { start: 1714518000, end: 1717196400 }
+      }
+    ]
+  }
+};
+const SAMPLE_ROUTE = { refundAmount: 4900, refundCurrency: 'eur' };
+
+async function sampleData({ cfg, locale, notificationId, serviceId }) {
+  const fmt = createFormatter({ locale, timeZone: cfg.timeZone });
+  // service templates may be used for any notification → allow every notification's details
+  const ids = notificationId ? [notificationId] : NOTIFICATION_IDS;
+  const details = Object.assign(
+    {},
+    ...ids.map((id) => buildEventDetails({ route: { ...SAMPLE_ROUTE, notificationId: id }, inv: SAMPLE_INVOICE, fmt }))
+  );
+  const systemData = buildSystemData({ inv: SAMPLE_INVOICE, customer: null, fmt, details });
+  const id = notificationId || NOTIFICATION_IDS[0];
+  const base = {
+    ...systemData,
+    brand: { brandName: cfg.label },
+    brandName: cfg.label,
+    locale,
+    timeZone: cfg.timeZone,
+    notificationId: id,
+    serviceId
+  };
+  const tr = await getTranslator({ brand: cfg.key, locale, defaultLocale: cfg.defaultLocale });
+  const t = notificationCopy(tr, id, base);
+  const data = { ...base, t, preheader: t.preheader };
+  return { data, schema: { ...data, brand: OPEN }, tr };
+}
+
+/** What a path under the root is: notification/service/legacy template, subject, text part, partial, or other. */
+function classify(rel) {
+  const parts = rel.split('/');
+  const file = parts[parts.length - 1];
+  const kind = file.endsWith('.subject.txt') ? 'subject' : file.endsWith('.html') ? 'html' : file.endsWith('.txt') ? 'text' : null;
+  const locale = kind ? file.replace(/\.subject\.txt$|\.html$|\.txt$/, '') : null;
+  if (parts[0] === 'partials' && parts.length === 2 && kind === 'html') return { type: 'partial', name: locale };
+  const [brand] = parts;
+  if (parts[1] === 'partials' && parts.length === 3 && kind === 'html') return { type: 'partial', brand, name: locale };
+  if (!kind) return { type: 'other', brand };
+  if (parts.length === 3 && NOTIFICATION_IDS.includes(parts[1])) {
+    return { type: kind, brand, notificationId: parts[1], locale };
+  }
+  if (parts.length === 5 && parts[1] === 'services' && NOTIFICATION_IDS.includes(parts[3])) {
+    return { type: kind, brand, serviceId: parts[2], notificationId: parts[3], locale };
+  }
+  // services/<service>/<locale>.html: the payment-paid receipt for that service
+  if (parts.length === 4 && parts[1] === 'services') return { type: kind, brand, serviceId: parts[2], notificationId: 'payment-paid', locale };
+  if (parts.length === 3) return { type: kind, brand, serviceId: parts[1], notificationId: 'payment-paid', locale, legacy: true };
+  return { type: 'other', brand };
+}
+
+/* ---------- placeholder schema check ---------- */
+
+function lookupSchema(value, parts) {
+  let cur = value;
+  for (const p of parts) {
+    if (cur === OPEN) return { ok: true, value: OPEN };
+    if (cur == null || typeof cur !== 'object' || !Object.prototype.hasOwnProperty.call(cur, p)) {
+      if (Array.isArray(cur) && (p === 'length' || /^\d+$/.test(p))) {
+        cur = p === 'length' ? 0 : cur[0];
+        continue;
+      }
+      return { ok: false };
+    }
+    cur = cur[p];
+  }
+  return { ok: true, value: cur };
+}
+
+/**
+ * Walk a Handlebars AST against the sample data. Returns { problems: [{ level, message, line }],
+ * partials: names used }.
+ */
+function checkPlaceholders(ast, root) {
+  const helpers = new Set(helperNames());
+  const problems = [];
+  const partials = new Set();
+  const add = (level, message, node) => problems.push({ level, message, line: node?.loc?.start?.line });
+
+  const resolve = (node, stack, optional) => {
+    if (node?.type === 'SubExpression') {
+      visitCall(node, stack);
+      return { ok: true, value: OPEN };
+    }
+    if (node?.type !== 'PathExpression') return { ok: true, value: undefined };
+    if (node.data) {
+      if (node.parts[0] !== 'root') return { ok: true, value: OPEN }; // @index, @key, @first, @last
+      const r = lookupSchema(root, node.parts.slice(1));
+      if (!r.ok) add(optional ? 'warn' : 'error', `unknown placeholder {{${node.original}}}`, node);
+      return r;
+    }
+    const ctx = stack[Math.max(0, stack.length - 1 - node.depth)];
+    if (!node.parts.length) return { ok: true, value: ctx }; // this / ..
+    const r = lookupSchema(ctx, node.parts);
+    if (!r.ok) {
+      const hint = optional ? ' (has a default)' : '';
+      add(optional ? 'warn' : 'error', `unknown placeholder {{${node.original}}}${hint}`, node);
+    }
+    return r;
+  };
+
+  const visitArgs = (node, stack, optionalFirst = false) => {
+    node.params.forEach((p, i) => resolve(p, stack, optionalFirst && i === 0));
+    for (const pair of node.hash?.pairs || []) resolve(pair.value, stack);
+  };
+
+  function visitCall(node, stack) {
+    const name = node.path.original;
+    if (helpers.has(name)) return visitArgs(node, stack, name === 'default');
+    if (node.params.length || node.hash) return add('error', `unknown helper "${name}"`, node);
+    resolve(node.path, stack);
+  }
+
+  function visitBlock(node, stack) {
+    const name = node.path.original;
+    if (!helpers.has(name)) {
+      // {{#billing}}…{{/billing}} section syntax: context switch like #with
+      const r = resolve(node.path, stack);
+      walk(node.program, [...stack, r.ok ? r.value : OPEN]);
+      return walk(node.inverse, stack);
+    }
+    const target = node.params[0] ? resolve(node.params[0], stack) : { ok: true, value: OPEN };
+    node.params.slice(1).forEach((p) => resolve(p, stack));
+    let inner = stack;
+    if (name === 'each') {
+      const v = target.ok ? target.value : OPEN;
+      inner = [...stack, Array.isArray(v) ? (v.length ? v[0] : OPEN) : OPEN];
+    } else if (name === 'with') {
+      inner = [...stack, target.ok && target.value != null ? target.value : OPEN];
+    }
+    // block params ({{#each lines as |line|}}) are not tracked; accept anything inside
+    if (node.program?.blockParams?.length) inner = [...stack, OPEN];
+    walk(node.program, inner);
+    walk(node.inverse, stack);
+  }
+
+  function walk(program, stack) {
+    for (const node of program?.body || []) {
+      if (node.type === 'MustacheStatement') visitCall(node, stack);
+      else if (node.type === 'BlockStatement') visitBlock(node, stack);
+      else if (node.type === 'PartialStatement' || node.type === 'PartialBlockStatement') {
+        const name = node.name.original;
+        partials.add(name);
+        if (!(name in DEFAULT_PARTIALS)) add('error', `unknown partial {{> ${name}}}`, node);
+        if (node.program) walk(node.program, stack);
+      }
+    }
+  }
+
+  walk(ast, [root]);
+  return { problems, partials };
+}
+
+/* ---------- HTML checks (on rendered output) ---------- */
+
+function checkHtml(html, { fragment = false } = {}) {
+  const problems = [];
+  const add = (level, message) => problems.push({ level, message });
+
+  if (/<script\b/i.test(html)) add('error', 'contains <script> (stripped or blocked by mail clients)');
+  if (/\b(?:href|src)\s*=\s*["']?\s*javascript:/i.test(html)) add('error', 'javascript: URL');
+  for (const tag of new Set((html.match(/<(form|iframe|object|embed|video)\b/gi) || []).map((t) => t.slice(1).toLowerCase()))) {
+    add('warn', `<${tag}> is not supported by most mail clients`);
+  }
+  if (/\bsrc\s*=\s*["']?http:\/\//i.test(html)) add('warn', 'http:// asset (mixed content; many clients block it)');
+  const noAlt = (html.match(/<img\b(?![^>]*\balt\s*=)[^>]*>/gi) || []).length;
+  if (noAlt) add('warn', `${noAlt} <img> without alt`);
+  if (/\{\{|\}\}/.test(html)) add('error', 'literal {{ or }} left in the output');
+
+  if (!fragment) {
+    if (!/^\s*<!doctype html/i.test(html)) add('warn', 'missing <!doctype html>');
+    if (!/<html\b[^>]*\blang\s*=/i.test(html)) add('warn', '<html> has no lang attribute');
+  }
+
+  // tag balance, ignoring comments and raw-text elements
+  const stripped = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<(style|script)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const stack = [];
+  const tagRe = /<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g;
+  let m;
+  while ((m = tagRe.exec(stripped))) {
+    const [, closing, rawName, selfClosing] = m;
+    const name = rawName.toLowerCase();
+    if (VOID_TAGS.has(name) || selfClosing) continue;
+    if (!closing) {
+      stack.push(name);
+      continue;
+    }
+    const at = stack.lastIndexOf(name);
+    if (at === -1) {
+      add('warn', `stray </${name}>`);
+      continue;
+    }
+    for (const open of stack.splice(at).slice(1)) {
+      if (!OPTIONAL_END.has(open)) add('warn', `unclosed <${open}> before </${name}>`);
+    }
+  }
+  for (const open of stack) if (!OPTIONAL_END.has(open)) add('warn', `unclosed <${open}>`);
+  return problems;
+}
+
+/* ---------- main ---------- */
+
+function parseArgs(argv) {
+  const opts = { root: '', maxBytes: 102000, strict: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === '--root') opts.root = next();
+    else if (a === '--brands') opts.brands = next().split(',').map((s) => s.trim()).filter(Boolean);
+    else if (a === '--services') opts.services = next().split(',').map((s) => s.trim()).filter(Boolean);
+    else if (a === '--max-bytes') opts.maxBytes = Number(next());
+    else if (a === '--strict') opts.strict = true;
+    else if (a === '--json') opts.json = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`unknown argument ${a}`);
+  }
+  if (!Number.isFinite(opts.maxBytes) || opts.maxBytes <= 0) throw new Error('--max-bytes must be a positive number');
+  return opts;
+}
+
+async function lint(opts) {
+  const registry = await loadBrandRegistry();
+  const store = opts.root ? openStore(opts.root) : createTemplateStoreFromEnv();
+  opts.root = store.root;
+  const files = new Set(await store.list());
+  const texts = new Map();
+  const read = async (rel) => {
+    if (!texts.has(rel)) texts.set(rel, (await store.get(rel))?.text ?? '');
+    return texts.get(rel);
+  };
+
+  const problems = [];
+  const seen = new Set();
+  const report = (level, where, message, line) => {
+    const key = `${level}|${where}|${message}|${line || ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    problems.push({ level, where: line ? `${where}:${line}` : where, message });
+  };
+
+  const brandKeys = opts.brands || registry.keys();
+  for (const b of brandKeys) if (!registry.has(b)) report('error', b, 'not in the brand registry');
+
+  const filesByBrand = new Map();
+  for (const rel of files) {
+    const info = classify(rel);
+    const inDir = rel.includes('/');
+    if (inDir && info.brand && info.type !== 'partial' && !registry.has(info.brand) && !registry.resolve(info.brand)) {
+      report('warn', rel, `directory "${info.brand}" is not a registered brand`);
+      continue;
+    }
+    if (!filesByBrand.has(info.brand)) filesByBrand.set(info.brand, []);
+    filesByBrand.get(info.brand).push({ rel, ...info });
+  }
+
+  let combos = 0;
+  for (const brandKey of brandKeys.filter((b) => registry.has(b))) {
+    const cfg = registry.get(brandKey);
+    const brandFiles = filesByBrand.get(brandKey) || [];
+    const services = [
+      ...new Set([DEFAULT_SERVICE, ...(opts.services || []), ...brandFiles.filter((f) => f.serviceId).map((f) => f.serviceId)])
+    ];
+
+    // partial sources for this brand (file overrides the built-in default)
+    const partials = { ...DEFAULT_PARTIALS };
+    for (const name of Object.keys(DEFAULT_PARTIALS)) {
+      const rel = partialCandidates(brandKey, name).find((p) => files.has(p));
+      if (rel) partials[name] = (await read(rel)).replace(/^\uFEFF/, '');
+    }
+
+    /* coverage: brand × notification × locale × service */
+    for (const notificationId of NOTIFICATION_IDS) {
+      for (const locale of cfg.locales) {
+        const locales = localeChain(locale, cfg.defaultLocale);
+        const where = `${brandKey}/${notificationId}/${locale}`;
+        const { tr } = await sampleData({ cfg, locale, notificationId, serviceId: DEFAULT_SERVICE });
+        for (const serviceId of services) {
+          combos += 1;
+          const found = templateCandidates({ brand: brandKey, notificationId, serviceId, locales }).find((p) =>
+            files.has(p)
+          );
+          const svc = serviceId !== DEFAULT_SERVICE ? ` (service ${serviceId})` : '';
+          // the catalog copy is a supported path (renderEmail falls back to it); only the bare stub is broken
+          if (!found && tr.has(`${notificationId}.intro`)) {
+            report('warn', where, `no template${svc}; the plain catalog fallback would be sent`);
+          } else if (!found) report('error', where, `no template${svc} and no catalog copy; the placeholder stub would be sent`);
+          else if (classify(found).locale !== locale) report('warn', where, `no ${locale} template${svc}; uses ${found}`);
+        }
+        const subject = subjectCandidates({ brand: brandKey, notificationId, locales }).find((p) => files.has(p));
+        // a missing subject file is fine as long as the catalog has one
+        if (!subject && !tr.has(`${notificationId}.subject`)) {
+          report('error', where, 'no subject file and no catalog subject');
+        } else if (subject && classify(subject).locale !== locale) {
+          report('warn', where, `no ${locale}.subject.txt; uses ${subject}`);
+        }
+      }
+    }
+
+    /* every file under the brand (+ shared partials) */
+    const supported = new Set(cfg.locales.flatMap(truncations));
+    const partialFiles = (filesByBrand.get(undefined) || []).filter((f) => f.type === 'partial');
+    for (const f of [...brandFiles, ...partialFiles]) {
+      if (f.type === 'other') continue;
+      const raw = await read(f.rel);
+      if (raw.startsWith('\uFEFF')) report('error', f.rel, 'starts with a UTF-8 BOM');
+      const src = raw.replace(/^\uFEFF/, '');
+
+      const locale = f.type === 'partial' ? cfg.defaultLocale : canonicalizeLocale(f.locale);
+      if (!locale) {
+        report('error', f.rel, `"${f.locale}" is not a BCP-47 locale`);
+        continue;
+      }
+      if (f.type !== 'partial' && !truncations(locale).some((l) => supported.has(l))) {
+        report('warn', f.rel, `${locale} is not among ${brandKey}'s locales; never selected`);
+      }
+      if (f.legacy) report('warn', f.rel, `legacy layout; move to ${brandKey}/services/${f.serviceId}/payment-paid/`);
+
+      let ast;
+      try {
+        ast = parseTemplate(src);
+      } catch (e) {
+        const lines = e.message.split('\n');
+        report('error', f.rel, `syntax: ${lines[0]} ${lines[lines.length - 1]}`);
+        continue;
+      }
+      const { data, schema } = await sampleData({
+        cfg,
+        locale,
+        notificationId: f.notificationId,
+        serviceId: f.serviceId || DEFAULT_SERVICE
+      });
+      const used = checkPlaceholders(ast, schema);
+      for (const p of used.problems) report(p.level, f.rel, p.message, p.line);
+
+      // unknown partials were reported above; render them empty so the HTML checks still run
+      const stubs = Object.fromEntries([...used.partials].filter((n) => !(n in partials)).map((n) => [n, '']));
+      let out;
+      try {
+        out = renderTemplate(src, data, { html: f.type === 'html' || f.type === 'partial', partials: { ...partials, ...stubs } });
+      } catch (e) {
+        report('error', f.rel, `render failed: ${e.message}`);
+        continue;
+      }
+      if (f.type === 'subject') {
+        const subject = out.trim();
+        if (!subject) report('error', f.rel, 'renders an empty subject');
+        if (/[\r\n]/.test(subject)) report('error', f.rel, 'subject spans several lines');
+        if (subject.length > 150) report('warn', f.rel, `subject is ${subject.length} characters`);
+        continue;
+      }
+      if (f.type === 'text') {
+        if (!out.trim()) report('error', f.rel, 'renders an empty text part');
+        if (!files.has(f.rel.replace(/\.txt$/, '.html'))) report('warn', f.rel, 'no .html beside it; never used');
+        continue;
+      }
+      const bytes = Buffer.byteLength(out, 'utf8');
+      if (bytes > opts.maxBytes) {
+        report('error', f.rel, `renders ${Math.round(bytes / 1024)} KB (limit ${Math.round(opts.maxBytes / 1024)} KB, before CSS inlining)`);
+      }
+      for (const p of checkHtml(out, { fragment: f.type === 'partial' })) report(p.level, f.rel, p.message);
+    }
+  }
+
+  return { problems, files: files.size, combos };
+}
+
+function printReport({ problems, files, combos }, opts) {
+  if (opts.json) {
+    process.stdout.write(`${JSON.stringify({ root: opts.root, files, combos, problems }, null, 2)}\n`);
+    return;
+  }
+  const order = { error: 0, warn: 1 };
+  const sorted = [...problems].sort((a, b) => order[a.level] - order[b.level] || a.where.localeCompare(b.where));
+  for (const p of sorted) console.log(`${p.level === 'error' ? 'ERROR' : 'WARN '} ${p.where}: ${p.message}`);
+  const errors = problems.filter((p) => p.level === 'error').length;
+  console.log(`\n${errors} error(s), ${problems.length - errors} warning(s); ${files} file(s), ${combos} combination(s) under ${opts.root}`);
+}
+
+let opts;
+try {
+  opts = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+if (opts.help) {
+  console.log('Usage: node scripts/lint-templates.js [--root gs://bucket|./dir] [--brands a,b] [--services x,y] [--max-bytes N] [--strict] [--json]');
+  process.exit(0);
+}
+
+// keep stdout machine-readable with --json (the registry loader logs to console.log)
+if (opts.json) console.log = console.error;
+
+try {
+  const result = await lint(opts);
+  printReport(result, opts);
+  const errors = result.problems.some((p) => p.level === 'error');
+  const warnings = result.problems.some((p) => p.level === 'warn');
+  process.exit(errors || (opts.strict && warnings) ? 1 : 0);
+} catch (e) {
+  console.error(`Template lint could not run: ${e.message}`);
+  process.exit(2);
+}
@@ -28,8 +28,9 @@ const systemData = {
   ctaLabel: 'View order'
 };
 
+// Renders from ./templates when TEMPLATES_BUCKET/TEMPLATES_DIR are not set (no cloud credentials needed)
 const { html, text, subject } = await renderEmail({
-  brandKey, locale, notificationId, serviceId, systemData
+  brandKey, brandLabel: 'Yokweb', locale, notificationId, serviceId, systemData
 });
 
 mkdirSync('./out', { recursive: true });
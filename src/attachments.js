@@ -0,0 +1,87 @@
+import fetch from 'node-fetch';
+import { receiptPdf } from './receipt.js';
+
+/*
+ * Email attachments, configured per brand and notification in the brand registry:
+ *
+ *   attachments:
+ *     payment-paid: [invoicePdf]            # Stripe's invoice_pdf
+ *     payment-paid-sub-renew: [receipt]     # PDF generated here (src/receipt.js)
+ *     "*": [invoicePdf]                     # any notification without its own entry
+ *
+ * An attachment that cannot be produced is reported and left out; the email itself is
+ * never held back for it. Attachments are { filename, contentType, content } with base64
+ * content, so messages stay JSON-safe in the send queue.
+ */
+
+export const ATTACHMENT_KINDS = ['invoicePdf', 'receipt'];
+
+const FETCH_TIMEOUT_MS = Number(process.env.ATTACHMENT_FETCH_TIMEOUT_MS) || 10000;
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+/** Attachment kinds for one brand config + notification. */
+export function attachmentKinds(cfg, notificationId) {
+  const map = cfg?.attachments || {};
+  return map[notificationId] || map['*'] || [];
+}
+
+// "INV/2024/001" → "INV-2024-001"
+const safeFilename = (name, fallback) =>
+  String(name || fallback).replace(/[^\p{L}\p{N}._\- ]+/gu, '-').replace(/^-+|-+$/g, '') || fallback;
+
+async function fetchInvoicePdf(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, size: MAX_BYTES });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const buf = await res.buffer();
+    if (buf.subarray(0, 5).toString('latin1') !== '%PDF-') throw new Error('response is not a PDF');
+    return buf;
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`timed out after ${FETCH_TIMEOUT_MS} ms`);
+    if (e.type === 'max-size') throw new Error(`larger than ${MAX_BYTES} bytes`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Build the attachments for one message.
+ *   kinds:  from attachmentKinds()
+ *   data:   the rendered systemData (+ brandName), see renderEmail
+ *   tr:     translator for the message locale (receipt labels, file names)
+ *   brand:  brands/<brand>.json, may be null
+ * → { attachments, problems: [{ kind, message }] }
+ */
+export async function buildAttachments({ kinds, data, tr, brand }) {
+  const attachments = [];
+  const problems = [];
+  for (const kind of kinds) {
+    try {
+      if (kind === 'invoicePdf') {
+        if (!data.invoicePdf) throw new Error('invoice has no invoice_pdf');
+        const pdf = await fetchInvoicePdf(data.invoicePdf);
+        attachments.push({
+          filename: `${safeFilename(data.invoiceNo, 'invoice')}.pdf`,
+          contentType: 'application/pdf',
+          content: pdf.toString('base64')
+        });
+      } else if (kind === 'receipt') {
+        const labels = tr.section('receipt', data);
+        const pdf = await receiptPdf({ data, labels, brand });
+        attachments.push({
+          filename: safeFilename(labels.filename, 'receipt.pdf'),
+          contentType: 'application/pdf',
+          content: pdf.toString('base64')
+        });
+      } else {
+        throw new Error('unknown attachment kind');
+      }
+    } catch (e) {
+      problems.push({ kind, message: e?.message || String(e) });
+    }
+  }
+  return { attachments, problems };
+}
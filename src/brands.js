@@ -0,0 +1,244 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { readGcsText } from './utils/gcs.js';
+import { parseTransportList } from './transports/index.js';
+import { canonicalizeLocale } from './locale.js';
+import { isValidTimeZone } from './format.js';
+import { ATTACHMENT_KINDS } from './attachments.js';
+import { DELIVERY_MODES } from './delivery.js';
+import { RECIPIENT_MODES, isValidEmail } from './recipients.js';
+
+/*
+ * Brand registry: brands are declared in a JSON or YAML file (local path or gs:// URL)
+ * instead of code. Shape:
+ *
+ *   default: yokweb
+ *   brands:
+ *     yokweb:
+ *       label: Yokweb                        # shown in subjects / signatures
+ *       from: "Yokweb Billing <no-reply@billing.yokweb.com>"
+ *       replyTo: billing@yokweb.com
+ *       region: eu-west-1                    # SES region (required when transport includes ses)
+ *       configSet: deliverability-prod       # SES configuration set
+ *       locales: [en, pl, de]                # BCP-47; de also serves de-AT, de-CH, ...
+ *       defaultLocale: en
+ *       timeZone: Europe/Dublin              # IANA zone for dates in emails (default UTC)
+ *       assetsBucket: gs://yokweb-billing-001-email-assets   # brands/<key>.json lives here
+ *       transport: ses,mailgun               # see src/transports/index.js
+ *       mailgunDomain: billing.yokweb.com
+ *       smtpUrl: smtps://...
+ *       aliases: [yok]                       # other metadata values that mean this brand
+ *       stripeAccount: acct_123              # Connect account (event.account) of this brand; see src/stripeAccounts.js
+ *       attachments:                         # per notification ("*" = any other); see src/attachments.js
+ *         payment-paid: [invoicePdf]         # invoicePdf (Stripe) | receipt (generated PDF)
+ *       deliveryMode: shadow                 # live (default) | dry-run | shadow; see src/delivery.js
+ *       shadowTo: [billing-qa@yokweb.com]    # required for shadow
+ *       bcc: [finance@yokweb.com]            # internal copy of every customer email
+ *       recipientMode: cc                    # cc (default) | separate; see src/recipients.js
+ *
+ * Per-brand env vars still win over the file (KEY = brand key upper-cased):
+ *   SES_FROM_<KEY>, SES_REPLY_TO_<KEY>, MAIL_TRANSPORT_<KEY>, MAILGUN_DOMAIN_<KEY>,
+ *   DELIVERY_MODE_<KEY>, SHADOW_TO_<KEY>, MAIL_BCC_<KEY> (comma lists), RECIPIENT_MODE_<KEY>
+ *   (Stripe secrets are env-only: STRIPE_SECRET_KEY_<KEY>, STRIPE_WEBHOOK_SECRET_<KEY>)
+ * and the global SES_CONFIG_SET, MAIL_TRANSPORT, DELIVERY_MODE, SHADOW_TO, MAIL_BCC,
+ * RECIPIENT_MODE, ASSETS_BUCKET and BRAND_DEFAULT fill gaps.
+ */
+
+const DEFAULT_SOURCE = fileURLToPath(new URL('../config/brands.json', import.meta.url));
+const TRANSPORTS = ['ses', 'mailgun', 'smtp', 'file'];
+const KEY_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+export class BrandConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid brand registry ${source}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'BrandConfigError';
+    this.problems = problems;
+  }
+}
+
+async function readSource(source) {
+  return source.startsWith('gs://') ? readGcsText(source) : readFile(source, 'utf8');
+}
+
+function parseSource(source, raw) {
+  const text = raw.replace(/^\uFEFF/, '');
+  return /\.ya?ml$/i.test(source) ? YAML.parse(text) : JSON.parse(text);
+}
+
+const isStr = (v) => typeof v === 'string' && v.trim() !== '';
+const addressList = (v) =>
+  (Array.isArray(v) ? v : String(v || '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+const optStr = (v) => v === undefined || v === null || isStr(v);
+
+/** Returns a list of problems (empty when valid). */
+export function validateBrandRegistry(doc) {
+  const problems = [];
+  if (!doc || typeof doc !== 'object') return ['registry must be an object'];
+  const brands = doc.brands;
+  if (!brands || typeof brands !== 'object' || !Object.keys(brands).length) {
+    return ['"brands" must be a non-empty object'];
+  }
+  if (!optStr(doc.default)) problems.push('"default" must be a string');
+  else if (doc.default && !brands[doc.default]) problems.push(`"default" refers to unknown brand "${doc.default}"`);
+
+  const aliases = new Map();
+  const accounts = new Map();
+  for (const [key, b] of Object.entries(brands)) {
+    const at = `brands.${key}`;
+    if (!KEY_RE.test(key)) problems.push(`${at}: key must be lower-case [a-z0-9_-]`);
+    if (!b || typeof b !== 'object') {
+      problems.push(`${at}: must be an object`);
+      continue;
+    }
+    if (!isStr(b.label)) problems.push(`${at}.label is required`);
+    if (!isStr(b.from)) problems.push(`${at}.from is required`);
+    for (const f of ['replyTo', 'region', 'configSet', 'assetsBucket', 'mailgunDomain', 'smtpUrl', 'timeZone', 'stripeAccount']) {
+      if (!optStr(b[f])) problems.push(`${at}.${f} must be a string`);
+    }
+    if (isStr(b.stripeAccount)) {
+      if (!/^acct_\w+$/.test(b.stripeAccount)) problems.push(`${at}.stripeAccount "${b.stripeAccount}" is not an acct_ id`);
+      else if (accounts.has(b.stripeAccount)) problems.push(`${at}.stripeAccount also used by ${accounts.get(b.stripeAccount)}`);
+      accounts.set(b.stripeAccount, key);
+    }
+    if (isStr(b.timeZone) && !isValidTimeZone(b.timeZone)) problems.push(`${at}.timeZone "${b.timeZone}" is not an IANA time zone`);
+    if (!Array.isArray(b.locales) || !b.locales.length || !b.locales.every(isStr)) {
+      problems.push(`${at}.locales must be a non-empty array of strings`);
+    } else if (!b.locales.every(canonicalizeLocale)) {
+      problems.push(`${at}.locales: ${b.locales.filter((l) => !canonicalizeLocale(l)).join(', ')} not valid BCP-47`);
+    } else if (b.defaultLocale !== undefined && !b.locales.includes(b.defaultLocale)) {
+      problems.push(`${at}.defaultLocale "${b.defaultLocale}" is not in locales`);
+    }
+    if (b.transport !== undefined) {
+      const list = Array.isArray(b.transport) ? b.transport : String(b.transport).split(',');
+      for (const t of list.map((s) => String(s).trim())) {
+        if (!TRANSPORTS.includes(t)) problems.push(`${at}.transport: unknown "${t}"`);
+      }
+    }
+    if (b.attachments !== undefined) {
+      if (!b.attachments || typeof b.attachments !== 'object' || Array.isArray(b.attachments)) {
+        problems.push(`${at}.attachments must be an object of notification → list`);
+      } else {
+        for (const [n, list] of Object.entries(b.attachments)) {
+          if (!Array.isArray(list)) problems.push(`${at}.attachments.${n} must be an array`);
+          else for (const k of list.filter((k) => !ATTACHMENT_KINDS.includes(k))) problems.push(`${at}.attachments.${n}: unknown "${k}"`);
+        }
+      }
+    }
+    if (b.deliveryMode !== undefined && !DELIVERY_MODES.includes(b.deliveryMode)) {
+      problems.push(`${at}.deliveryMode must be one of ${DELIVERY_MODES.join(', ')}`);
+    }
+    if (b.shadowTo !== undefined && !(Array.isArray(b.shadowTo) && b.shadowTo.every(isStr))) {
+      problems.push(`${at}.shadowTo must be an array of email addresses`);
+    }
+    if (b.bcc !== undefined && !(Array.isArray(b.bcc) && b.bcc.every(isValidEmail))) {
+      problems.push(`${at}.bcc must be an array of email addresses`);
+    }
+    if (b.recipientMode !== undefined && !RECIPIENT_MODES.includes(b.recipientMode)) {
+      problems.push(`${at}.recipientMode must be one of ${RECIPIENT_MODES.join(', ')}`);
+    }
+    if (b.aliases !== undefined && !(Array.isArray(b.aliases) && b.aliases.every(isStr))) {
+      problems.push(`${at}.aliases must be an array of strings`);
+    }
+    for (const a of b.aliases || []) {
+      const alias = String(a).toLowerCase();
+      if (brands[alias] && alias !== key) problems.push(`${at}.aliases: "${alias}" is another brand's key`);
+      if (aliases.has(alias)) problems.push(`${at}.aliases: "${alias}" also used by ${aliases.get(alias)}`);
+      aliases.set(alias, key);
+    }
+  }
+  return problems;
+}
+
+/** Merge env overrides and defaults into one brand entry. */
+function finalizeBrand(key, b, env) {
+  const K = key.toUpperCase().replace(/-/g, '_');
+  return {
+    key,
+    label: b.label,
+    region: b.region,
+    from: env[`SES_FROM_${K}`] || b.from,
+    replyTo: env[`SES_REPLY_TO_${K}`] || b.replyTo || undefined,
+    configSet: b.configSet || env.SES_CONFIG_SET || undefined,
+    locales: b.locales.map(canonicalizeLocale),
+    defaultLocale: canonicalizeLocale(b.defaultLocale || b.locales[0]),
+    timeZone: b.timeZone || 'UTC',
+    assetsBucket: b.assetsBucket || env.ASSETS_BUCKET || undefined,
+    transport: parseTransportList(env[`MAIL_TRANSPORT_${K}`] || b.transport || env.MAIL_TRANSPORT || 'ses'),
+    mailgunDomain: env[`MAILGUN_DOMAIN_${K}`] || b.mailgunDomain,
+    smtpUrl: b.smtpUrl,
+    attachments: b.attachments || {},
+    stripeAccount: b.stripeAccount || undefined,
+    deliveryMode: (env[`DELIVERY_MODE_${K}`] || b.deliveryMode || env.DELIVERY_MODE || 'live').toLowerCase(),
+    shadowTo: addressList(env[`SHADOW_TO_${K}`] || b.shadowTo || env.SHADOW_TO),
+    bcc: addressList(env[`MAIL_BCC_${K}`] || b.bcc || env.MAIL_BCC),
+    recipientMode: (env[`RECIPIENT_MODE_${K}`] || b.recipientMode || env.RECIPIENT_MODE || 'cc').toLowerCase(),
+    aliases: (b.aliases || []).map((a) => a.toLowerCase())
+  };
+}
+
+/** Build the registry object from a validated document. */
+export function createBrandRegistry(doc, { env = process.env, source = 'inline' } = {}) {
+  const problems = validateBrandRegistry(doc);
+  const defaultKey = (env.BRAND_DEFAULT || doc?.default || Object.keys(doc?.brands || {})[0] || '').toLowerCase();
+  if (!problems.length && !doc.brands[defaultKey]) problems.push(`default brand "${defaultKey}" is not registered`);
+  if (problems.length) throw new BrandConfigError(source, problems);
+
+  const brands = new Map();
+  const lookup = new Map(); // key or alias → key
+  for (const [key, b] of Object.entries(doc.brands)) {
+    const cfg = finalizeBrand(key, b, env);
+    if (cfg.transport.includes('ses') && !cfg.region) {
+      throw new BrandConfigError(source, [`brands.${key}.region is required for the ses transport`]);
+    }
+    // env overrides are only known here
+    if (!DELIVERY_MODES.includes(cfg.deliveryMode)) {
+      throw new BrandConfigError(source, [`${key}: delivery mode "${cfg.deliveryMode}" must be one of ${DELIVERY_MODES.join(', ')}`]);
+    }
+    if (cfg.deliveryMode === 'shadow' && !cfg.shadowTo.length) {
+      throw new BrandConfigError(source, [`${key}: shadow delivery needs shadowTo (or SHADOW_TO)`]);
+    }
+    if (!RECIPIENT_MODES.includes(cfg.recipientMode)) {
+      throw new BrandConfigError(source, [`${key}: recipient mode "${cfg.recipientMode}" must be one of ${RECIPIENT_MODES.join(', ')}`]);
+    }
+    const badBcc = cfg.bcc.filter((a) => !isValidEmail(a));
+    if (badBcc.length) throw new BrandConfigError(source, [`${key}: bcc ${badBcc.join(', ')} not valid email addresses`]);
+    brands.set(key, cfg);
+    lookup.set(key, key);
+    for (const a of cfg.aliases) lookup.set(a, key);
+  }
+
+  return {
+    source,
+    defaultKey,
+    keys: () => [...brands.keys()],
+    /** Registered brand key for a metadata value, or null. */
+    resolve(value) {
+      return typeof value === 'string' ? lookup.get(value.trim().toLowerCase()) || null : null;
+    },
+    /** Config for a brand key (unknown keys get the default brand). */
+    get(key) {
+      return brands.get(key) || brands.get(defaultKey);
+    },
+    has: (key) => brands.has(key)
+  };
+}
+
+/**
+ * Load, validate and build the registry from BRANDS_CONFIG (local path or gs:// URL),
+ * defaulting to config/brands.json in this repo. Throws BrandConfigError on invalid input.
+ */
+export async function loadBrandRegistry({ source, env = process.env } = {}) {
+  const src = source || env.BRANDS_CONFIG || DEFAULT_SOURCE;
+  let doc;
+  try {
+    doc = parseSource(src, await readSource(src));
+  } catch (e) {
+    throw new BrandConfigError(src, [`could not read/parse: ${e.message}`]);
+  }
+  const registry = createBrandRegistry(doc, { env, source: src });
+  console.log(`Brand registry loaded from ${src}: ${registry.keys().join(', ')} (default ${registry.defaultKey})`);
+  return registry;
+}
@@ -0,0 +1,61 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { logger } from './logger.js';
+
+/*
+ * Delivery modes, per brand (brand registry "deliveryMode", DELIVERY_MODE[_<KEY>]):
+ *
+ *   live     send to the customer (default)
+ *   dry-run  process everything (enrichment, resolution, rendering, suppression checks) but
+ *            send nothing: the finished message and its decision trace go to the dry-run sink
+ *   shadow   send the message to the brand's internal shadowTo list instead of the customer
+ *
+ * Neither dry-run nor shadow claims the notification in the ledger, so switching a brand to
+ * live later is not blocked by mails that never reached the customer.
+ */
+
+export const DELIVERY_MODES = ['live', 'dry-run', 'shadow'];
+
+// attachment bodies are noise in a trace; keep what identifies them
+const summarizeAttachments = (list) =>
+  (list || []).map((a) => ({
+    filename: a.filename,
+    contentType: a.contentType,
+    bytes: Math.floor((String(a.content || '').length * 3) / 4)
+  }));
+
+/**
+ * Where dry-run messages go: one JSON file per message in `dir` ({ mode, message, trace }),
+ * or a log line (recipient, subject, trace) when no dir is set.
+ */
+export function createDryRunSink({ dir } = {}) {
+  return {
+    dir: dir || null,
+    async write({ message, trace }) {
+      const record = { mode: 'dry-run', message: { ...message, attachments: summarizeAttachments(message.attachments) }, trace };
+      if (!dir) {
+        const { to, subject, tags } = message;
+        logger.info(`Dry run (not sent): ${subject}`, { to, subject, tags, trace });
+        return { file: null };
+      }
+      const id = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+      const name = [id, message.tags?.brand, message.tags?.notification].filter(Boolean).join('-');
+      const file = join(dir, `${name}.json`);
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, JSON.stringify(record, null, 2));
+      logger.info(`Dry run wrote ${file}`, { to: message.to, file });
+      return { file };
+    }
+  };
+}
+
+/** Shadow copy of `message` for one internal address (no cc/bcc); the subject names the real recipients. */
+export function shadowMessage(message, address) {
+  const { cc, bcc, ...rest } = message;
+  return {
+    ...rest,
+    to: address,
+    subject: `[shadow: ${[message.to, ...(cc || [])].join(', ')}] ${message.subject}`
+  };
+}
@@ -0,0 +1,244 @@
+import {
+  backoffMs,
+  createMemoryQueueStore,
+  createFileQueueStore,
+  createFirestoreQueueStore,
+  leasedJobs
+} from './sendQueue.js';
+
+/*
+ * Inbound Stripe event queue: /webhook verifies the signature, persists the event here and
+ * answers 200 right away; a worker does the Stripe expansions, rendering and sending.
+ *
+ * Job shape (id = Stripe event id, so a redelivery while queued is a no-op):
+ *   { id, status: 'pending' | 'processing' | 'dead', event, context, attempts,
+ *     nextAttemptAt, leaseUntil, lastError, createdAt, updatedAt }
+ * `context` is opaque to the queue (which route/secret accepted the event).
+ *
+ * A 'processing' job whose lease ran out belongs to an instance that died mid-way and is
+ * picked up again; the ledger (src/ledger.js) keeps that from sending twice.
+ *
+ * Stores and job leases are the send queue's (src/sendQueue.js): with a shared store one job is
+ * run by one instance, and an instance that lost its lease leaves it alone.
+ * The in-process worker needs CPU after the response (Cloud Run: CPU always allocated and
+ * min-instances >= 1). Without that, use EVENT_QUEUE=pubsub: events are published to a topic
+ * and a push subscription delivers them back to POST /tasks/stripe-events.
+ */
+
+/**
+ * @param store       queue store
+ * @param handle      async (job) -> result; throwing schedules a retry, { defer: true } looks
+ *                    again after a lease without counting an attempt (someone else is on it)
+ * @param onDead      async (job) when a job is dead-lettered
+ */
+export function createEventQueue({
+  store,
+  handle,
+  onDead = async () => {},
+  maxAttempts = 10,
+  baseDelayMs = 10 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  leaseMs = 5 * 60 * 1000,
+  pollMs = 5 * 1000
+}) {
+  let timer = null;
+  let running = false;
+  let again = false;
+  const now = () => new Date().toISOString();
+
+  const { listDue, claim, settle } = leasedJobs(store, { leaseMs });
+
+  async function recordFailure(job, err) {
+    const { leaseId } = job;
+    delete job.leaseUntil;
+    delete job.leaseId;
+    job.attempts += 1;
+    job.lastError = String(err?.message || err);
+    job.updatedAt = now();
+    if (job.attempts >= maxAttempts) {
+      job.status = 'dead';
+      if (!(await settle({ ...job, leaseId }, job))) return lostLease(job);
+      console.error(`Event ${job.id} dead-lettered after ${job.attempts} attempt(s):`, job.lastError);
+      try {
+        await onDead(job);
+      } catch (e) {
+        console.warn('onDead hook failed:', e?.message || e);
+      }
+      return;
+    }
+    job.status = 'pending';
+    job.nextAttemptAt = Date.now() + backoffMs(job.attempts, { baseDelayMs, maxDelayMs, kind: 'transient' });
+    if (!(await settle({ ...job, leaseId }, job))) return lostLease(job);
+    console.warn(`Event ${job.id} retry ${job.attempts}/${maxAttempts} at ${new Date(job.nextAttemptAt).toISOString()}`);
+  }
+
+  // another instance reclaimed the job after our lease ran out; its outcome wins
+  const lostLease = (job) => console.warn(`Event ${job.id} lease lost; leaving it to the instance that holds it`);
+
+  const deferred = ({ leaseUntil, leaseId, ...job }) => ({
+    ...job,
+    status: 'pending',
+    nextAttemptAt: Date.now() + leaseMs,
+    updatedAt: now()
+  });
+
+  /** Claim and run one job. false when another instance claimed it first. */
+  async function runJob(candidate) {
+    const job = await claim(candidate);
+    if (!job) return false;
+    try {
+      const result = await handle(job);
+      const next = result?.defer ? deferred(job) : null;
+      if (!(await settle(job, next))) lostLease(job);
+    } catch (err) {
+      console.error(`Event ${job.id} (${job.event?.type}) failed:`, err?.message || err);
+      await recordFailure(job, err);
+    }
+    return true;
+  }
+
+  const queue = {
+    store,
+
+    /** Persist an event for the worker. Returns { job, created }; an already queued event is left as is. */
+    async enqueue(event, context = {}) {
+      const existing = await store.get(event.id);
+      if (existing) return { job: existing, created: false };
+      const job = {
+        id: event.id,
+        status: 'pending',
+        event,
+        context,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: now()
+      };
+      await store.put(job);
+      if (timer) queue.kick();
+      return { job, created: true };
+    },
+
+    /** Process every due job, oldest first. Safe to call concurrently (re-runs once if called while running). */
+    async runDue() {
+      if (running) {
+        again = true;
+        return 0;
+      }
+      running = true;
+      let processed = 0;
+      try {
+        do {
+          again = false;
+          const t = Date.now();
+          const due = (await listDue(t)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+          for (const job of due) {
+            if (await runJob(job)) processed += 1;
+          }
+        } while (again);
+      } finally {
+        running = false;
+      }
+      return processed;
+    },
+
+    /** Run the worker soon without waiting for the next poll. */
+    kick() {
+      setImmediate(() => queue.runDue().catch((e) => console.error('Event queue run failed:', e)));
+    },
+
+    async listPending() {
+      return (await store.list()).filter((j) => j.status !== 'dead');
+    },
+
+    async listDead() {
+      return (await store.list()).filter((j) => j.status === 'dead');
+    },
+
+    /** Put a dead-lettered event back in the queue with a fresh attempt budget. */
+    async redrive(id) {
+      const job = await store.get(id);
+      if (!job || job.status !== 'dead') return null;
+      delete job.leaseId;
+      Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), updatedAt: now() });
+      await store.put(job);
+      if (timer) queue.kick();
+      return job;
+    },
+
+    async discard(id) {
+      const job = await store.get(id);
+      if (!job) return false;
+      await store.remove(id);
+      return true;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        queue.runDue().catch((e) => console.error('Event queue run failed:', e));
+      }, pollMs);
+      timer.unref?.();
+      queue.kick(); // events persisted before a restart
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+  return queue;
+}
+
+/**
+ * Pub/Sub "queue": enqueue publishes the event; Pub/Sub redelivers it to the push endpoint
+ * until that returns 2xx (configure retries and a dead-letter topic on the subscription).
+ * Needs @google-cloud/pubsub.
+ */
+export async function createPubSubEventQueue({ topic }) {
+  if (!topic) throw new Error('EVENT_QUEUE=pubsub needs EVENT_QUEUE_TOPIC');
+  const { PubSub } = await import('@google-cloud/pubsub');
+  const publisher = new PubSub().topic(topic);
+  return {
+    kind: 'pubsub',
+    async enqueue(event, context = {}) {
+      const data = Buffer.from(JSON.stringify({ id: event.id, event, context }));
+      await publisher.publishMessage({ data, attributes: { eventId: event.id, type: event.type } });
+      return { job: { id: event.id, status: 'published' }, created: true };
+    },
+    start() {},
+    stop() {}
+  };
+}
+
+/**
+ * Queue selected by env:
+ *   EVENT_QUEUE=inline|memory|file|firestore|pubsub (default inline = process before answering;
+ *               the queues are opt-in)
+ *   EVENT_QUEUE_FILE=./.data/event-queue.json, EVENT_QUEUE_COLLECTION=webhook-event-queue,
+ *   EVENT_QUEUE_TOPIC=projects/<p>/topics/<t>
+ *   EVENT_QUEUE_MAX_ATTEMPTS=10, EVENT_QUEUE_BASE_DELAY_MS=10000, EVENT_QUEUE_POLL_MS=5000
+ * Returns null for inline.
+ */
+export async function createEventQueueFromEnv({ handle, onDead }, env = process.env) {
+  const kind = (env.EVENT_QUEUE || 'inline').toLowerCase();
+  if (kind === 'inline') return null;
+  if (kind === 'pubsub') return createPubSubEventQueue({ topic: env.EVENT_QUEUE_TOPIC });
+
+  let store;
+  if (kind === 'memory') store = createMemoryQueueStore();
+  else if (kind === 'file') store = createFileQueueStore({ path: env.EVENT_QUEUE_FILE || './.data/event-queue.json' });
+  else if (kind === 'firestore') {
+    store = await createFirestoreQueueStore({ collection: env.EVENT_QUEUE_COLLECTION || 'webhook-event-queue' });
+  } else throw new Error(`Unknown EVENT_QUEUE: ${kind}`);
+
+  const queue = createEventQueue({
+    store,
+    handle,
+    onDead,
+    maxAttempts: Number(env.EVENT_QUEUE_MAX_ATTEMPTS) || undefined,
+    baseDelayMs: Number(env.EVENT_QUEUE_BASE_DELAY_MS) || undefined,
+    pollMs: Number(env.EVENT_QUEUE_POLL_MS) || undefined
+  });
+  queue.kind = kind;
+  return queue;
+}
@@ -0,0 +1,177 @@
+import { lineService } from './invoiceLines.js';
+
+/*
+ * Locale-aware money and date formatting for email copy.
+ *
+ * Stripe amounts are integers in the currency's minor unit; the exponent comes from
+ * Stripe's currency table (https://docs.stripe.com/currencies#zero-decimal), not from
+ * Intl, because the two disagree for a few currencies (ISK, UGX).
+ *
+ *   const fmt = createFormatter({ locale: 'pl-PL', timeZone: 'Europe/Warsaw' });
+ *   fmt.money(12345, 'pln')   → '123,45 zł'
+ *   fmt.money(590, 'jpy')     → '590 JPY' (zero-decimal: no division)
+ *   fmt.date(1714521600)      → '1 maja 2024'
+ *
+ * Symbol and placement are Intl's for the locale: with locale 'en' the same calls give
+ * '¥590' and fmt.money(4900, 'jpy') → '¥4,900'.
+ */
+
+const ZERO_DECIMAL = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+const THREE_DECIMAL = new Set(['BHD', 'JOD', 'KWD', 'OMR', 'TND']);
+// Zero-decimal in practice, but Stripe amounts are still sent ×100 (integer multiples of 100)
+const DISPLAY_WHOLE = new Set(['ISK', 'UGX']);
+
+/** Number of minor-unit digits Stripe uses for `currency` in API amounts. */
+export function currencyExponent(currency) {
+  const cur = String(currency || '').toUpperCase();
+  if (ZERO_DECIMAL.has(cur)) return 0;
+  if (THREE_DECIMAL.has(cur)) return 3;
+  return 2;
+}
+
+/** Stripe minor units → major units (12345 PLN → 123.45, 590 JPY → 590). */
+export function toMajorUnits(minor, currency) {
+  return (Number(minor) || 0) / 10 ** currencyExponent(currency);
+}
+
+// Intl constructors are comparatively expensive; emails reuse a handful of locale/currency pairs
+const numberFormats = new Map();
+function numberFormat(locale, currency) {
+  const key = `${locale}|${currency}`;
+  if (!numberFormats.has(key)) {
+    const digits = DISPLAY_WHOLE.has(currency) ? 0 : currencyExponent(currency);
+    numberFormats.set(
+      key,
+      new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      })
+    );
+  }
+  return numberFormats.get(key);
+}
+
+/** Format a Stripe minor-unit amount, e.g. (12345, 'pln', 'pl') → '123,45 zł'. */
+export function formatMoney(minor, currency, locale = 'en') {
+  if (minor == null || !currency) return '';
+  const cur = String(currency).toUpperCase();
+  const major = toMajorUnits(minor, cur);
+  try {
+    return numberFormat(locale, cur).format(major);
+  } catch {
+    // unknown currency code or locale: still print something sensible
+    return `${major.toFixed(currencyExponent(cur))} ${cur}`;
+  }
+}
+
+/** Plain decimal string in major units ('123.45'), for templates and machine-readable fields. */
+export function formatMajor(minor, currency) {
+  return toMajorUnits(minor, currency).toFixed(currencyExponent(currency));
+}
+
+/** True when `timeZone` is an IANA zone Intl understands. */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Format a Stripe timestamp (unix seconds) as a date in `timeZone`; '' when missing. */
+export function formatDate(ts, { locale = 'en', timeZone = 'UTC', dateStyle = 'long' } = {}) {
+  if (!ts) return '';
+  const d = new Date(ts * 1000);
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle, timeZone }).format(d);
+  } catch {
+    return d.toISOString().slice(0, 10);
+  }
+}
+
+/** Money/date formatter bound to one locale and time zone. */
+export function createFormatter({ locale = 'en', timeZone = 'UTC' } = {}) {
+  return {
+    locale,
+    timeZone,
+    money: (minor, currency) => formatMoney(minor, currency, locale),
+    date: (ts, opts = {}) => formatDate(ts, { locale, timeZone, ...opts })
+  };
+}
+
+const sum = (list) => (list || []).reduce((acc, x) => acc + (x?.amount || 0), 0);
+
+/**
+ * Ready-to-print amounts and dates for one Stripe invoice. Every money field has a
+ * formatted string (`subtotal`) and the raw major-unit value (`subtotalValue`).
+ * Invoices synthesized from a charge only carry amount_paid; the other fields stay ''.
+ * Dates: paidDate, invoiceDate, dueDate and period.{start,end} (also per line).
+ * `raw` keeps the Stripe minor units and unix timestamps for template helpers ({{money raw.tax currency}}).
+ */
+export function invoiceAmounts(inv, fmt) {
+  const currency = inv.currency;
+  const money = (minor) => (minor == null ? '' : fmt.money(minor, currency));
+  const value = (minor) => (minor == null ? '' : formatMajor(minor, currency));
+
+  const amountMinor = inv.amount_paid ?? inv.amount_due ?? 0;
+  const taxMinor = inv.tax ?? (inv.total_tax_amounts ? sum(inv.total_tax_amounts) : null);
+  const discountMinor = inv.total_discount_amounts ? sum(inv.total_discount_amounts) : null;
+
+  const fields = {
+    amount: amountMinor,
+    subtotal: inv.subtotal,
+    subtotalExclTax: inv.subtotal_excluding_tax,
+    tax: taxMinor,
+    discount: discountMinor || null,
+    total: inv.total,
+    totalExclTax: inv.total_excluding_tax,
+    amountDue: inv.amount_due,
+    amountPaid: inv.amount_paid,
+    amountRemaining: inv.amount_remaining
+  };
+  const out = {};
+  for (const [k, minor] of Object.entries(fields)) {
+    out[k] = money(minor);
+    out[`${k}Value`] = value(minor);
+  }
+
+  // Subscription invoices: period_start/end on the invoice look back one period; prefer the line's
+  const subLine = inv.lines?.data?.find((l) => l.type === 'subscription') || inv.lines?.data?.[0];
+  const periodStart = subLine?.period?.start || inv.period_start;
+  const periodEnd = subLine?.period?.end || inv.period_end;
+
+  const paidAt = inv.status_transitions?.paid_at || (inv.paid ? inv.created : null);
+
+  return {
+    ...out,
+    raw: { ...fields, paidAt, created: inv.created, dueDate: inv.due_date, periodStart, periodEnd },
+    currency: String(currency || '').toUpperCase(),
+    paidDate: fmt.date(paidAt),
+    invoiceDate: fmt.date(inv.created),
+    dueDate: fmt.date(inv.due_date),
+    period: { start: fmt.date(periodStart), end: fmt.date(periodEnd) },
+    lines: (inv.lines?.data || []).map((l) => {
+      const cur = l.currency || currency;
+      const unit = l.price?.unit_amount ?? l.unit_amount_excluding_tax ?? null;
+      const lineTax = l.tax_amounts ? sum(l.tax_amounts) : null;
+      const lineDiscount = l.discount_amounts ? sum(l.discount_amounts) : null;
+      return {
+        description: l.description || l.price?.product?.name || '',
+        service: lineService(l) || '',
+        quantity: l.quantity ?? 1,
+        amount: fmt.money(l.amount, cur),
+        amountValue: formatMajor(l.amount, cur),
+        amountMinor: l.amount,
+        unitAmount: unit == null ? '' : fmt.money(Number(unit), cur),
+        tax: lineTax ? fmt.money(lineTax, cur) : '',
+        discount: lineDiscount ? fmt.money(lineDiscount, cur) : '',
+        period: { start: fmt.date(l.period?.start), end: fmt.date(l.period?.end) }
+      };
+    })
+  };
+}
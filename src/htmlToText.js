@@ -0,0 +1,219 @@
+/*
+ * HTML → plain text for the text/plain alternative.
+ *
+ *   - paragraphs, headings, list items and <br> keep their line breaks
+ *   - links become "label (url)"; the URL is dropped when it repeats the label
+ *   - data tables become aligned rows (numeric columns right-aligned); layout tables are flattened
+ *   - hidden elements (display:none, mso-hide:all, .preheader, [hidden]) are skipped
+ *
+ * No DOM: email HTML is simple enough for a tag scanner, and unclosed <p>/<td>/<li> are tolerated.
+ */
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const PARAGRAPH = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'blockquote', 'pre', 'dl', 'address', 'table']);
+const LINE = new Set(['div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'center', 'figure', 'caption', 'dt', 'dd', 'tr', 'li']);
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '', zwnj: '',
+  mdash: '—', ndash: '–', middot: '·', bull: '•', hellip: '…', copy: '©', reg: '®', trade: '™',
+  euro: '€', pound: '£', yen: '¥', laquo: '«', raquo: '»', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+export function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const cp = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  for (const m of src.matchAll(/([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+const isHidden = (attrs) =>
+  'hidden' in attrs ||
+  /display\s*:\s*none|mso-hide\s*:\s*all|visibility\s*:\s*hidden/i.test(attrs.style || '') ||
+  /(^|\s)preheader(\s|$)/i.test(attrs.class || '');
+
+const width = (s) => [...s].length;
+// "12.00", "€1,234.50", "1 234,50 zł", "3" – right-aligned in tables
+const NUMERIC = /^[-+(]?\D{0,4}\d[\d\s.,'’ ]*\D{0,4}\)?$/;
+
+/** Lay out collected table rows: aligned columns for data tables, stacked blocks for layout tables. */
+function formatTable(rows) {
+  const cells = rows.map((r) => r.map((c) => ({ ...c, text: c.text.trim() }))).filter((r) => r.some((c) => c.text));
+  if (!cells.length) return '';
+  const layout = cells.every((r) => r.filter((c) => c.text).length <= 1) || cells.some((r) => r.some((c) => c.text.includes('\n')));
+  if (layout) return cells.map((r) => r.map((c) => c.text).filter(Boolean).join('\n\n')).join('\n\n');
+
+  const cols = Math.max(...cells.map((r) => r.length));
+  const widths = Array.from({ length: cols }, (_, i) => Math.max(0, ...cells.map((r) => width(r[i]?.text || ''))));
+  const right = widths.map(
+    (_, i) => i > 0 && cells.every((r) => r[i]?.header || !r[i]?.text || NUMERIC.test(r[i].text)) && cells.some((r) => r[i]?.text && !r[i].header)
+  );
+  return cells
+    .map((r) =>
+      widths
+        .map((w, i) => {
+          const t = r[i]?.text || '';
+          const pad = ' '.repeat(w - width(t));
+          return right[i] ? pad + t : t + pad;
+        })
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
+
+export function htmlToText(html) {
+  const src = String(html ?? '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  // output buffers: the root, plus one per open link label / table cell
+  const buffers = [{ s: '' }];
+  const top = () => buffers[buffers.length - 1];
+  const lists = [];
+  const tables = [];
+  const links = [];
+  let skip = null; // { tag, depth } while inside a hidden element
+  let pre = 0;
+
+  const write = (text) => {
+    const b = top();
+    if (!pre) {
+      text = text.replace(/\s+/g, ' ');
+      if (!b.s || /[\n ]$/.test(b.s)) text = text.replace(/^ /, '');
+    }
+    b.s += text;
+  };
+  const raw = (text) => {
+    top().s += text;
+  };
+  const lineBreak = (n) => {
+    const b = top();
+    b.s = b.s.replace(/ +$/, '');
+    if (!b.s) return;
+    const have = b.s.match(/\n*$/)[0].length;
+    if (have < n) b.s += '\n'.repeat(n - have);
+  };
+
+  const closeCell = (table) => {
+    if (!table.cell) return;
+    const text = buffers.pop().s;
+    table.rows[table.rows.length - 1].push({ text, header: table.cell === 'th' });
+    table.cell = null;
+  };
+  const openCell = (table, tag) => {
+    closeCell(table);
+    if (!table.rows.length) table.rows.push([]);
+    table.cell = tag;
+    buffers.push({ s: '' });
+  };
+  const closeLink = () => {
+    const { href } = links.pop();
+    const label = buffers.pop().s.trim();
+    const url = href.replace(/^mailto:/i, '');
+    const shown = /^(https?:|mailto:)/i.test(href) && url !== label && url.replace(/^https?:\/\//i, '').replace(/\/$/, '') !== label;
+    write(label ? (shown ? `${label} (${url})` : label) : url);
+  };
+
+  const open = (tag, attrs) => {
+    if (tag === 'br') return raw('\n');
+    if (tag === 'hr') {
+      lineBreak(2);
+      raw('----------------------------------------');
+      return lineBreak(2);
+    }
+    if (tag === 'img') return attrs.alt?.trim() ? write(attrs.alt.trim()) : undefined;
+    if (tag === 'a') {
+      links.push({ href: (attrs.href || '').trim() });
+      return buffers.push({ s: '' });
+    }
+    if (tag === 'table') {
+      lineBreak(2);
+      return tables.push({ rows: [], cell: null, depth: buffers.length });
+    }
+    const table = tables[tables.length - 1];
+    if (table && tag === 'tr') {
+      closeCell(table);
+      return table.rows.push([]);
+    }
+    if (table && (tag === 'td' || tag === 'th')) return openCell(table, tag);
+    if (tag === 'ul' || tag === 'ol') lists.push({ ordered: tag === 'ol', n: 0 });
+    if (tag === 'pre') pre += 1;
+    if (PARAGRAPH.has(tag)) lineBreak(2);
+    else if (LINE.has(tag)) lineBreak(1);
+    if (tag === 'li') {
+      const list = lists[lists.length - 1];
+      const indent = '  '.repeat(Math.max(0, lists.length - 1));
+      raw(`${indent}${list?.ordered ? `${(list.n += 1)}.` : '-'} `);
+    }
+  };
+
+  const close = (tag) => {
+    if (tag === 'a') return links.length && closeLink();
+    const table = tables[tables.length - 1];
+    if (tag === 'table' && table) {
+      closeCell(table);
+      buffers.length = table.depth; // drop anything a malformed table left open
+      tables.pop();
+      raw(formatTable(table.rows));
+      return lineBreak(2);
+    }
+    if (table && (tag === 'td' || tag === 'th')) return closeCell(table);
+    if (table && tag === 'tr') return closeCell(table);
+    if (tag === 'ul' || tag === 'ol') lists.pop();
+    if (tag === 'pre') pre = Math.max(0, pre - 1);
+    if (/^h[12]$/.test(tag)) {
+      const last = top().s.replace(/ +$/, '').split('\n').pop();
+      if (last.trim()) raw(`\n${(tag === 'h1' ? '=' : '-').repeat(width(last))}`);
+    }
+    if (PARAGRAPH.has(tag)) lineBreak(2);
+    else if (LINE.has(tag)) lineBreak(1);
+  };
+
+  const TOKEN = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<![^>]*>/g;
+  let last = 0;
+  for (const m of src.matchAll(TOKEN)) {
+    if (!skip && m.index > last) write(decodeEntities(src.slice(last, m.index)));
+    last = m.index + m[0].length;
+    if (!m[2]) continue; // doctype
+    const tag = m[2].toLowerCase();
+    const closing = m[1] === '/';
+    const selfClosing = VOID.has(tag) || /\/\s*$/.test(m[3]);
+
+    if (skip) {
+      if (tag === skip.tag && !selfClosing) skip.depth += closing ? -1 : 1;
+      if (skip.depth === 0) skip = null;
+      continue;
+    }
+    if (closing) {
+      close(tag);
+      continue;
+    }
+    const attrs = parseAttrs(m[3]);
+    if (isHidden(attrs)) {
+      if (!selfClosing) skip = { tag, depth: 1 };
+      continue;
+    }
+    open(tag, attrs);
+  }
+  if (!skip && last < src.length) write(decodeEntities(src.slice(last)));
+  while (links.length) closeLink();
+  while (tables.length) close('table');
+
+  return buffers[0].s
+    .split('\n')
+    .map((l) => l.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
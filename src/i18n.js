@@ -0,0 +1,214 @@
+import { fileURLToPath } from 'url';
+import { openStore, createCachedStore, cacheOptionsFromEnv } from './templateStore.js';
+import { localeChain } from './locale.js';
+
+/*
+ * Message catalogs: every subject, intro line, label and plain-text body lives in
+ * catalogs/<locale>.json (shared) with optional per-brand overrides in
+ * catalogs/<brand>/<locale>.json. CATALOGS_DIR may point elsewhere (path or gs://).
+ *
+ *   {
+ *     "common":        { "greeting": "Hi,", "labels": { "amount": "Amount" } },
+ *     "payment-paid":  { "subject": "Payment received — {brandName}", "intro": "..." }
+ *   }
+ *
+ * Keys are looked up along the locale chain (de-AT → de → brand default → en); at each
+ * locale the brand catalog wins over the shared one.
+ *
+ * Messages use an ICU subset:
+ *   {name} {billing.city}                          – interpolation (dotted paths allowed)
+ *   {count, plural, =0 {none} one {# item} other {# items}}
+ *   {kind, select, refund {…} other {…}}
+ */
+
+const DEFAULT_ROOT = fileURLToPath(new URL('../catalogs', import.meta.url));
+const stores = new Map(); // root → cached store (TTL + version revalidation, see templateStore.js)
+const parsed = new Map(); // path → { version, doc }
+
+function getPath(obj, path) {
+  let cur = obj;
+  for (const p of path.split('.')) {
+    if (cur == null || !Object.prototype.hasOwnProperty.call(Object(cur), p)) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+/* ---------- ICU-subset formatter ---------- */
+
+// Split "a {b} c" at top-level braces; returns [{ text } | { expr }]
+function tokenize(pattern) {
+  const out = [];
+  let depth = 0;
+  let buf = '';
+  for (const ch of pattern) {
+    if (ch === '{') {
+      if (depth === 0) {
+        if (buf) out.push({ text: buf });
+        buf = '';
+      } else buf += ch;
+      depth += 1;
+    } else if (ch === '}' && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        out.push({ expr: buf });
+        buf = '';
+      } else buf += ch;
+    } else buf += ch;
+  }
+  if (buf) out.push({ text: depth ? `{${buf}` : buf });
+  return out;
+}
+
+// "=0 {none} one {# item} other {# items}" → { '=0': 'none', one: '# item', other: '# items' }
+function parseOptions(body) {
+  const opts = {};
+  const re = /\s*([^\s{]+)\s*\{/g;
+  let m;
+  while ((m = re.exec(body))) {
+    let depth = 1;
+    let i = re.lastIndex;
+    for (; i < body.length && depth; i++) {
+      if (body[i] === '{') depth += 1;
+      else if (body[i] === '}') depth -= 1;
+    }
+    opts[m[1]] = body.slice(re.lastIndex, i - 1);
+    re.lastIndex = i;
+  }
+  return opts;
+}
+
+/** Format one ICU-subset message. Unknown variables render as an empty string. */
+export function formatMessage(pattern, vars = {}, locale = 'en') {
+  if (typeof pattern !== 'string') return '';
+  return tokenize(pattern)
+    .map((tok) => {
+      if (tok.text !== undefined) return tok.text;
+      const [name, type, ...rest] = tok.expr.split(',');
+      const key = name.trim();
+      const value = getPath(vars, key);
+      if (!type) return value == null ? '' : String(value);
+
+      const opts = parseOptions(rest.join(','));
+      if (type.trim() === 'plural') {
+        const n = Number(value) || 0;
+        let rule = 'other';
+        try {
+          rule = new Intl.PluralRules(locale).select(n);
+        } catch {
+          /* unknown locale → "other" */
+        }
+        const branch = opts[`=${n}`] ?? opts[rule] ?? opts.other ?? '';
+        const num = new Intl.NumberFormat(locale).format(n);
+        return formatMessage(branch.replace(/#/g, num), vars, locale);
+      }
+      if (type.trim() === 'select') {
+        return formatMessage(opts[String(value)] ?? opts.other ?? '', vars, locale);
+      }
+      return value == null ? '' : String(value);
+    })
+    .join('');
+}
+
+/* ---------- loading ---------- */
+
+function catalogStore(root) {
+  if (!stores.has(root)) stores.set(root, createCachedStore(openStore(root), { ...cacheOptionsFromEnv(), name: 'catalogs' }));
+  return stores.get(root);
+}
+
+// Parsed catalog ({} when missing or unreadable); re-parsed only when the file's version changes
+async function readCatalog(root, rel) {
+  const path = `${root}/${rel}`;
+  let hit = null;
+  try {
+    hit = await catalogStore(root).get(rel);
+  } catch (e) {
+    console.warn(`Catalog ${path} unreadable:`, e.message);
+  }
+  if (!hit) return {};
+  const cached = parsed.get(path);
+  if (cached?.version === hit.version) return cached.doc;
+  let doc = {};
+  try {
+    doc = JSON.parse(hit.text.replace(/^\uFEFF/, ''));
+  } catch (e) {
+    console.warn(`Catalog ${path} is not valid JSON:`, e.message);
+  }
+  parsed.set(path, { version: hit.version, doc });
+  return doc;
+}
+
+/** Drop cached catalogs (all, or those whose path relative to the catalog root starts with `prefix`). */
+export function clearCatalogCache(prefix = '') {
+  for (const store of stores.values()) store.purge(prefix);
+}
+
+/**
+ * Translator for one brand + locale.
+ *   t('payment-paid.subject', vars)  – formatted string ('' when missing everywhere)
+ *   has(key)
+ *   section('payment-paid', vars)   – every string in that section, formatted (for templates)
+ */
+export async function getTranslator({ brand, locale, defaultLocale, root = process.env.CATALOGS_DIR || DEFAULT_ROOT }) {
+  const chain = localeChain(locale, defaultLocale);
+  const layers = [];
+  for (const l of chain) {
+    layers.push({ locale: l, doc: await readCatalog(root, `${brand}/${l}.json`) });
+    layers.push({ locale: l, doc: await readCatalog(root, `${l}.json`) });
+  }
+
+  const lookup = (key) => {
+    for (const { locale: l, doc } of layers) {
+      const v = getPath(doc, key);
+      if (v !== undefined) return { value: v, locale: l };
+    }
+    return null;
+  };
+
+  // Format every string leaf of a (possibly nested) catalog value
+  const formatTree = (value, vars, l) =>
+    typeof value === 'string'
+      ? formatMessage(value, vars, l)
+      : Object.fromEntries(Object.entries(value || {}).map(([k, v]) => [k, formatTree(v, vars, l)]));
+
+  return {
+    locale,
+    chain,
+    has: (key) => lookup(key) !== null,
+    t(key, vars = {}) {
+      const hit = lookup(key);
+      return hit ? formatTree(hit.value, vars, hit.locale) : '';
+    },
+    /** Merge a section across the chain (most specific wins per key) and format it. */
+    section(name, vars = {}) {
+      const merged = {};
+      for (const { locale: l, doc } of [...layers].reverse()) {
+        const sec = doc?.[name];
+        if (sec && typeof sec === 'object') {
+          for (const [k, v] of Object.entries(sec)) merged[k] = formatTree(v, vars, l);
+        }
+      }
+      return merged;
+    }
+  };
+}
+
+/* ---------- notification copy ---------- */
+
+// Event-specific values printed as "Label: value" rows when present
+export const DETAIL_FIELDS = ['invoiceNo', 'amount', 'refundAmount', 'failureReason', 'nextRetry', 'periodEnd'];
+
+/**
+ * All catalog copy for one notification: common strings, the notification's own strings
+ * (subject, preheader, intro, ...), the detail rows and the plain-text body.
+ * `vars` must carry brandName plus the systemData fields.
+ */
+export function notificationCopy(tr, notificationId, vars) {
+  const common = tr.section('common', vars);
+  const own = tr.section(notificationId, vars);
+  const rows = DETAIL_FIELDS.filter((k) => vars[k]).map((k) => [common.labels?.[k] || k, String(vars[k])]);
+  const ctx = { ...vars, ...common, ...own, detailRows: rows.map(([l, v]) => `${l}: ${v}`).join('\n') };
+  const textKey = tr.has(`${notificationId}.text`) ? `${notificationId}.text` : 'common.text';
+  return { ...common, ...own, rows, text: tr.t(textKey, ctx) };
+}
@@ -0,0 +1,124 @@
+/*
+ * Invoice lines as a whole instead of lines.data[0]: every line (paginated past the 10 an
+ * invoice embeds), ranked, with the metadata each one carries.
+ *
+ * Ranking (first wins; ties keep invoice order):
+ *   1. metadata primary=true on the line, its price or its product
+ *   2. regular lines before prorations
+ *   3. higher amount first (so tax adjustments, credits and free add-ons sink)
+ *
+ * Metadata lookups (brand, locale, service) read the lines in that order: the top line decides,
+ * later lines only fill keys it leaves empty. Lines that name a different brand or service are
+ * reported as conflicts (decision trace), never used over the top line.
+ */
+
+// safety cap on pagination; an invoice with more lines is resolved from the first MAX_LINES
+export const MAX_LINES = 500;
+
+const PAGE_SIZE = 100;
+
+const meta = (obj, key) => {
+  const v = obj?.metadata?.[key];
+  return (typeof v === 'string' ? v.trim().toLowerCase() : null) || null;
+};
+
+const productOf = (line) => (line?.price?.product && typeof line.price.product === 'object' ? line.price.product : null);
+
+/** [line, price, product]: where a line's metadata is read, most specific first. */
+const objectsOf = (line) => [line, line?.price, productOf(line)];
+
+const isPrimary = (line) => objectsOf(line).some((o) => ['true', '1', 'yes'].includes(meta(o, 'primary')));
+
+const isProration = (line) =>
+  Boolean(
+    line?.proration ||
+      line?.parent?.subscription_item_details?.proration ||
+      line?.parent?.invoice_item_details?.proration
+  );
+
+/**
+ * Every line of `inv`: the embedded page, then invoices.listLineItems until has_more is false
+ * (prices and products expanded like the embedded ones). Throws when a page cannot be fetched.
+ */
+export async function listInvoiceLines(stripe, inv, { max = MAX_LINES } = {}) {
+  const lines = [...(inv?.lines?.data || [])];
+  let more = Boolean(inv?.lines?.has_more && inv.id);
+  while (more && lines.length < max) {
+    const page = await stripe.invoices.listLineItems(inv.id, {
+      limit: PAGE_SIZE,
+      starting_after: lines[lines.length - 1]?.id,
+      expand: ['data.price.product']
+    });
+    lines.push(...(page.data || []));
+    more = Boolean(page.has_more && page.data?.length);
+  }
+  return lines.slice(0, max);
+}
+
+/** Lines in resolution order (see top); a new array. */
+export function rankLines(lines) {
+  return (lines || [])
+    .map((line, i) => ({ line, i }))
+    .sort(
+      (a, b) =>
+        isPrimary(b.line) - isPrimary(a.line) ||
+        isProration(a.line) - isProration(b.line) ||
+        (b.line.amount || 0) - (a.line.amount || 0) ||
+        a.i - b.i
+    )
+    .map(({ line }) => line);
+}
+
+/** First metadata value for any of `keys` on one line (line → price → product), or null. */
+function lineValue(line, keys) {
+  for (const obj of objectsOf(line)) {
+    for (const key of keys) {
+      const v = meta(obj, key);
+      if (v) return v;
+    }
+  }
+  return null;
+}
+
+const SERVICE_KEYS = ['service', 'serviceid'];
+const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+/** Service id of one line ("service" or "serviceid" metadata), or null. */
+export const lineService = (line) => lineValue(line, SERVICE_KEYS);
+
+/** Distinct service ids across `lines`, in ranking order. */
+export const servicesOf = (lines) => distinct(rankLines(lines).map(lineService));
+
+/**
+ * Everything resolution needs from the lines:
+ *   sources    [[label, obj]] for pickMetaFrom, top line first: line, price, product, then
+ *              "lines[1].line", "lines[1].price", ... for the rest (1 = second in rank)
+ *   primary    { id, reason: 'flag' | 'regular' | 'proration' | 'none' }
+ *   services   distinct service ids, ranked
+ *   conflicts  { brand?: [...], service?: [...] } when lines disagree (top line's value first)
+ */
+export function describeLines(lines) {
+  const ranked = rankLines(lines);
+  const top = ranked[0];
+  const labels = ['line', 'price', 'product'];
+  const sources = ranked.flatMap((line, i) =>
+    objectsOf(line).map((obj, j) => [i === 0 ? labels[j] : `lines[${i}].${labels[j]}`, obj])
+  );
+
+  const conflicts = {};
+  for (const [name, keys] of [['brand', ['brand']], ['service', SERVICE_KEYS]]) {
+    const values = distinct(ranked.map((line) => lineValue(line, keys)));
+    if (values.length > 1) conflicts[name] = values;
+  }
+
+  return {
+    count: ranked.length,
+    sources,
+    primary: {
+      id: top?.id || null,
+      reason: !top ? 'none' : isPrimary(top) ? 'flag' : isProration(top) ? 'proration' : 'regular'
+    },
+    services: distinct(ranked.map(lineService)),
+    conflicts
+  };
+}
@@ -0,0 +1,105 @@
+import { createStoreFromEnv } from './stores.js';
+
+/*
+ * Idempotency ledger for Stripe events.
+ *
+ * Two kinds of keys:
+ *   event:<event.id>                          – one per delivery, guards against Stripe retries
+ *   notify:<invoice|charge>:<notification>[:<refund>] – one per email, guards against two
+ *                                               different events producing the same mail
+ *
+ * Backed by any key/value store from ./stores.js.
+ */
+
+export const STATES = {
+  RECEIVED: 'received',
+  SENT: 'sent',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  QUEUED: 'queued' // send failed transiently; src/sendQueue.js owns the retry
+};
+
+/* ---------- ledger ---------- */
+
+/**
+ * @param store   a store from ./stores.js (or anything with create/get/put/replace)
+ * @param leaseMs how long a "received" event may sit unfinished before a retry may take it over
+ */
+export function createLedger(store, { leaseMs = 5 * 60 * 1000 } = {}) {
+  const now = () => new Date().toISOString();
+
+  return {
+    store,
+
+    /** Claim an incoming event. proceed=false means another delivery owns or finished it. */
+    async beginEvent(event) {
+      const key = `event:${event.id}`;
+      const record = { state: STATES.RECEIVED, type: event.type, receivedAt: now(), updatedAt: now() };
+      if (await store.create(key, record)) return { proceed: true, record };
+
+      const existing = await store.get(key);
+      const stale =
+        existing?.state === STATES.RECEIVED &&
+        Date.now() - Date.parse(existing.updatedAt) > leaseMs;
+      // failed events may be retried; a stale "received" means the owning instance died.
+      // Concurrent retries all read the same record: create/replace let exactly one of them take it
+      // (no record left means it expired between create and get).
+      if (!existing || existing.state === STATES.FAILED || stale) {
+        const retry = { ...existing, ...record, attempts: (existing?.attempts || 1) + 1 };
+        const taken = existing ? await store.replace(key, existing, retry) : await store.create(key, retry);
+        if (taken) return { proceed: true, record: retry };
+        return { proceed: false, record: (await store.get(key)) || existing };
+      }
+      return { proceed: false, record: existing };
+    },
+
+    async finishEvent(eventId, state, info = {}) {
+      const key = `event:${eventId}`;
+      const existing = (await store.get(key)) || {};
+      await store.put(key, { ...existing, ...info, state, updatedAt: now() });
+    },
+
+    /**
+     * Claim the right to send one notification. Unlike events there is no lease:
+     * a crash between send and finishNotification leaves the claim in place, so at
+     * worst a mail is lost and never duplicated. Only an explicit FAILED may be retried.
+     */
+    async claimNotification(key, info = {}) {
+      const record = { ...info, state: STATES.RECEIVED, updatedAt: now() };
+      if (await store.create(`notify:${key}`, record)) return { claimed: true, record };
+
+      const existing = await store.get(`notify:${key}`);
+      if (!existing || existing.state === STATES.FAILED) {
+        // as in beginEvent: only one of several concurrent retakes wins
+        const taken = existing
+          ? await store.replace(`notify:${key}`, existing, record)
+          : await store.create(`notify:${key}`, record);
+        if (taken) return { claimed: true, record };
+        return { claimed: false, record: (await store.get(`notify:${key}`)) || existing };
+      }
+      return { claimed: false, record: existing };
+    },
+
+    async finishNotification(key, state, info = {}) {
+      const existing = (await store.get(`notify:${key}`)) || {};
+      await store.put(`notify:${key}`, { ...existing, ...info, state, updatedAt: now() });
+    }
+  };
+}
+
+/**
+ * Build the ledger selected by env:
+ *   LEDGER_STORE=memory|file|firestore|redis (default memory – per instance only)
+ *   LEDGER_FILE=./.data/ledger.json
+ *   LEDGER_COLLECTION=webhook-ledger (Firestore)
+ *   REDIS_URL=redis://...
+ */
+export async function createLedgerFromEnv(env = process.env) {
+  const store = await createStoreFromEnv('LEDGER', {
+    env,
+    file: './.data/ledger.json',
+    collection: 'webhook-ledger',
+    prefix: 'ledger:'
+  });
+  return createLedger(store);
+}
@@ -0,0 +1,71 @@
+/*
+ * BCP-47 locale handling shared by the webhook, renderEmail and the fallback copy.
+ *
+ *   canonicalizeLocale('de_at')      → 'de-AT'
+ *   localeChain('de-AT', 'en')       → ['de-AT', 'de', 'en']
+ *   negotiateLocale(['fr', 'de-AT'], { supported: ['en', 'de'], defaultLocale: 'en' })
+ *                                    → { locale: 'de-AT', matched: 'de', chain: ['de-AT', 'de', 'en'] }
+ */
+
+// last-resort language: every template set is expected to have English
+export const BASE_LOCALE = 'en';
+
+/** Canonical BCP-47 tag, or null for empty/invalid input ("auto" included). */
+export function canonicalizeLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const t = tag.trim().replace(/_/g, '-');
+  if (!t || t.toLowerCase() === 'auto') return null;
+  try {
+    return Intl.getCanonicalLocales(t)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/** 'zh-Hant-TW' → ['zh-Hant-TW', 'zh-Hant', 'zh'] */
+export function truncations(tag) {
+  const canon = canonicalizeLocale(tag);
+  if (!canon) return [];
+  const parts = canon.split('-');
+  // drop extensions and private use ("-u-ca-gregory", "-x-...") – templates are never keyed on them
+  const ext = parts.findIndex((p, i) => i > 0 && p.length === 1);
+  const core = ext === -1 ? parts : parts.slice(0, ext);
+  const out = [];
+  for (let i = core.length; i > 0; i--) out.push(core.slice(0, i).join('-'));
+  return out;
+}
+
+/** Fallback chain for template/subject/copy lookup: the tag, its parents, the default, then English. */
+export function localeChain(locale, defaultLocale) {
+  const chain = [...truncations(locale), ...truncations(defaultLocale), BASE_LOCALE];
+  return [...new Set(chain)];
+}
+
+/**
+ * Pick the first candidate (in priority order) that a brand supports, directly or via a parent tag.
+ * `supported` entries are compared case-insensitively by canonical form.
+ * → { locale, matched, chain, index } where index is the winning candidate's (-1: the default).
+ */
+export function negotiateLocale(candidates, { supported = [], defaultLocale = BASE_LOCALE } = {}) {
+  const supportedSet = new Set(supported.map(canonicalizeLocale).filter(Boolean));
+  const def = canonicalizeLocale(defaultLocale) || BASE_LOCALE;
+
+  for (const [index, cand] of candidates.flat().entries()) {
+    const tags = truncations(cand);
+    const matched = tags.find((t) => supportedSet.has(t));
+    if (matched) {
+      return { locale: tags[0], matched, chain: localeChain(tags[0], def), index };
+    }
+  }
+  return { locale: def, matched: def, chain: localeChain(def, def), index: -1 };
+}
+
+/** First entry of `chain` whose language has an entry in `table` (e.g. hardcoded copy keyed by language). */
+export function pickFromChain(chain, table) {
+  for (const tag of chain) {
+    if (table[tag]) return tag;
+    const lang = tag.split('-')[0];
+    if (table[lang]) return lang;
+  }
+  return BASE_LOCALE;
+}
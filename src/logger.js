@@ -0,0 +1,101 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { format } from 'util';
+
+/*
+ * Structured logging: one JSON object per line on stdout, the shape Cloud Logging turns into
+ * jsonPayload (severity, message, time + any fields). Fields given to withLogContext() (event
+ * id, invoice id, brand, ...) are added to every line written inside that call, so one query on
+ * jsonPayload.eventId shows an event end to end. routeConsole() sends console.* through here
+ * too, which covers the plain console lines in src/.
+ *
+ *   LOG_FORMAT=json|text   text: "time SEVERITY message {fields}" for local runs (default json)
+ *   LOG_PII=mask|hash|plain
+ *     mask (default)  jane.doe@example.com → j***@example.com
+ *     hash            → sha256:<12 hex> of the lower-cased address (+ LOG_PII_SALT); stable, so one
+ *                     customer's lines can still be found: GET /admin/sends shows the real address
+ *     plain           unchanged (local debugging only)
+ * Masking applies to every string in the message and the fields, not only to known keys;
+ * messageId fields are left alone (<id@host> Message-IDs look like addresses).
+ */
+
+const context = new AsyncLocalStorage();
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const UNMASKED = new Set(['messageId']);
+
+const env = process.env;
+const FORMAT = (env.LOG_FORMAT || 'json').toLowerCase();
+const PII = (env.LOG_PII || 'mask').toLowerCase();
+
+/** The address as it may appear in logs (per LOG_PII). */
+export function maskEmail(email) {
+  const addr = String(email);
+  if (PII === 'plain') return addr;
+  if (PII === 'hash') {
+    const digest = createHash('sha256').update(`${env.LOG_PII_SALT || ''}${addr.toLowerCase()}`).digest('hex');
+    return `sha256:${digest.slice(0, 12)}`;
+  }
+  const at = addr.lastIndexOf('@');
+  return `${addr[0]}***${addr.slice(at)}`;
+}
+
+/** Deep copy of `value` with every email address masked; Errors become { name, message, stack }. */
+export function maskPii(value, depth = 0) {
+  if (typeof value === 'string') return value.replace(EMAIL_RE, maskEmail);
+  if (value instanceof Error) {
+    return { name: value.name, message: maskPii(value.message), stack: maskPii(value.stack || '') };
+  }
+  if (!value || typeof value !== 'object' || depth > 8) return value;
+  if (Array.isArray(value)) return value.map((v) => maskPii(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, UNMASKED.has(k) ? v : maskPii(v, depth + 1)]));
+}
+
+const stdout = process.stdout.write.bind(process.stdout);
+const stderr = process.stderr.write.bind(process.stderr);
+
+function write(level, message, fields = {}) {
+  const entry = maskPii({ ...context.getStore(), ...fields });
+  const text = maskPii(String(message));
+  const out = level === 'error' ? stderr : stdout;
+  if (FORMAT === 'text') {
+    const extra = Object.keys(entry).length ? ` ${JSON.stringify(entry)}` : '';
+    out(`${new Date().toISOString()} ${SEVERITIES[level]} ${text}${extra}\n`);
+    return;
+  }
+  out(`${JSON.stringify({ severity: SEVERITIES[level], message: text, time: new Date().toISOString(), ...entry })}\n`);
+}
+
+/** Logger whose lines carry `fields` (plus the current context). */
+export function createLogger(fields = {}) {
+  const at = (level) => (message, more) => write(level, message, { ...fields, ...more });
+  return {
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    child: (more) => createLogger({ ...fields, ...more })
+  };
+}
+
+export const logger = createLogger();
+
+/** Run `fn` with `fields` added to every line logged inside it (async continuations included). */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** Add fields to the current context once they are known (e.g. the invoice id after expansion). */
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/** console.log/info/debug/warn/error → structured lines with context and masking. Call once at startup. */
+export function routeConsole() {
+  console.log = (...args) => write('info', format(...args));
+  console.info = console.log;
+  console.debug = (...args) => write('debug', format(...args));
+  console.warn = (...args) => write('warn', format(...args));
+  console.error = (...args) => write('error', format(...args));
+}
@@ -0,0 +1,98 @@
+/*
+ * Prometheus metrics (text exposition format 0.0.4), served by GET /metrics.
+ * Modules declare what they measure next to the code that measures it:
+ *
+ *   const sends = metrics.counter('mailer_mail_sends_total', 'Transport attempts', ['transport', 'result']);
+ *   sends.inc({ transport: 'ses', result: 'ok' });
+ *   const timer = latency.startTimer({ transport: 'ses' }); ...; timer({ result: 'ok' });
+ *
+ * Counters and histograms only; label values should stay low-cardinality (no ids, no emails).
+ */
+
+// seconds; remote calls from Cloud Run land between a few ms and a few s
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(names, labels, extra = '') {
+  const parts = names.map((n) => `${n}="${escapeLabel(labels[n] ?? '')}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export function createRegistry() {
+  const metrics = new Map(); // name → metric
+
+  function register(name, create) {
+    if (!metrics.has(name)) metrics.set(name, create());
+    return metrics.get(name);
+  }
+
+  return {
+    /** counter.inc(labels, n = 1) */
+    counter(name, help, labelNames = []) {
+      return register(name, () => {
+        const values = new Map(); // label key → { labels, value }
+        return {
+          inc(labels = {}, n = 1) {
+            const key = labelNames.map((l) => labels[l] ?? '').join('\u0000');
+            const cur = values.get(key) || { labels, value: 0 };
+            cur.value += n;
+            values.set(key, cur);
+          },
+          render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of values.values()) lines.push(`${name}${labelString(labelNames, labels)} ${value}`);
+            return lines;
+          }
+        };
+      });
+    },
+
+    /** histogram.observe(labels, seconds); histogram.startTimer(labels) → end(moreLabels) → seconds */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      return register(name, () => {
+        const series = new Map(); // label key → { labels, counts[], sum, count }
+        const observe = (labels = {}, seconds) => {
+          const key = labelNames.map((l) => labels[l] ?? '').join('\u0000');
+          let s = series.get(key);
+          if (!s) series.set(key, (s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((le, i) => {
+            if (seconds <= le) s.counts[i] += 1;
+          });
+          s.sum += seconds;
+          s.count += 1;
+        };
+        return {
+          observe,
+          startTimer(labels = {}) {
+            const started = process.hrtime.bigint();
+            return (more = {}) => {
+              const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+              observe({ ...labels, ...more }, seconds);
+              return seconds;
+            };
+          },
+          render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+              buckets.forEach((le, i) => lines.push(`${name}_bucket${labelString(labelNames, labels, `le="${le}"`)} ${counts[i]}`));
+              lines.push(`${name}_bucket${labelString(labelNames, labels, 'le="+Inf"')} ${count}`);
+              lines.push(`${name}_sum${labelString(labelNames, labels)} ${sum}`);
+              lines.push(`${name}_count${labelString(labelNames, labels)} ${count}`);
+            }
+            return lines;
+          }
+        };
+      });
+    },
+
+    /** Exposition text for every registered metric. */
+    render() {
+      return `${[...metrics.values()].flatMap((m) => m.render()).join('\n')}\n`;
+    }
+  };
+}
+
+/** The process-wide registry. */
+export const metrics = createRegistry();
@@ -0,0 +1,159 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+
+/*
+ * PDF receipt rendered from the same data as the email (src/systemData.js), for brands
+ * that attach one (brand registry "attachments", see src/attachments.js).
+ * Labels come from the "receipt" section of the message catalogs.
+ *
+ * Layout and encoding are pdfkit's; DejaVu Sans is embedded (subset) because the standard
+ * Helvetica only covers WinAnsi and receipts carry Polish, Czech, ... names and addresses.
+ */
+
+const require = createRequire(import.meta.url);
+const FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+const MARGIN = 50;
+const LINE = 14;
+
+/**
+ * receiptPdf({ data, labels, brand }) → Promise<Buffer>
+ *   data:   systemData (+ brandName); amounts are already formatted for the locale
+ *   labels: tr.section('receipt', data)
+ *   brand:  brands/<brand>.json (brandAddress, companyNo, vatNo), may be null
+ */
+export function receiptPdf({ data, labels, brand }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `${labels.title} ${data.invoiceNo}`, Author: data.brandName, Producer: 'stripe-webhooks-mailer' }
+  });
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+
+  const chunks = [];
+  doc.on('data', (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const right = doc.page.width - MARGIN;
+  const bottom = () => doc.page.height - MARGIN;
+  let y = MARGIN;
+
+  // one line of text; x is the right edge for align 'right'
+  const text = (x, top, str, { size = 10, bold = false, align = 'left' } = {}) => {
+    if (str === undefined || str === null || str === '') return;
+    doc.font(bold ? 'bold' : 'regular').fontSize(size);
+    const s = String(str);
+    const left = align === 'right' ? x - doc.widthOfString(s) : x;
+    doc.text(s, left, top, { lineBreak: false });
+  };
+  const rule = (top) => doc.moveTo(MARGIN, top).lineTo(right, top).lineWidth(0.5).stroke();
+  const ensureRoom = (h) => {
+    if (y + h <= bottom()) return;
+    doc.addPage();
+    y = MARGIN;
+  };
+
+  /* header: seller on the left, title on the right */
+  text(MARGIN, y, data.brandName, { size: 16, bold: true });
+  text(right, y, labels.title, { size: 16, bold: true, align: 'right' });
+  y += 28;
+  const seller = [brand?.brandAddress, brand?.companyNo, brand?.vatNo && `${labels.vatId} ${brand.vatNo}`].filter(Boolean);
+  for (const line of seller) {
+    text(MARGIN, y, line, { size: 9 });
+    y += 12;
+  }
+  y += 10;
+  rule(y);
+  y += 14;
+
+  /* invoice facts on the right, buyer on the left */
+  const facts = [
+    [labels.invoiceNo, data.invoiceNo],
+    [labels.datePaid, data.paidDate || data.invoiceDate]
+  ].filter(([, v]) => v);
+  const factsTop = y;
+  for (const [label, value] of facts) {
+    text(right - 150, y, label, { size: 9 });
+    text(right, y, value, { size: 9, bold: true, align: 'right' });
+    y += LINE;
+  }
+
+  const b = data.billing || {};
+  const buyer = [
+    b.name || data.customerName,
+    b.address_line1,
+    b.address_line2,
+    [b.postcode, b.city].filter(Boolean).join(' '),
+    b.country,
+    b.vat_id && `${labels.vatId} ${b.vat_id}`,
+    !b.name && !data.customerName ? data.customerEmail : ''
+  ].filter(Boolean);
+  let by = factsTop;
+  if (buyer.length) {
+    text(MARGIN, by, labels.billedTo, { size: 9 });
+    by += LINE;
+    for (const line of buyer) {
+      text(MARGIN, by, line, { size: 10 });
+      by += LINE;
+    }
+  }
+  y = Math.max(y, by) + 20;
+
+  /* line items */
+  const qtyX = right - 110;
+  const descWidth = qtyX - MARGIN - 40;
+  text(MARGIN, y, labels.description, { size: 9, bold: true });
+  text(qtyX, y, labels.quantity, { size: 9, bold: true, align: 'right' });
+  text(right, y, labels.amount, { size: 9, bold: true, align: 'right' });
+  y += LINE;
+  rule(y);
+  y += 6;
+
+  const lines = data.lines?.length ? data.lines : [{ description: data.invoiceNo, quantity: 1, amount: data.amount }];
+  for (const item of lines) {
+    const desc = String(item.description || '');
+    doc.font('regular').fontSize(10);
+    const h = Math.max(LINE, doc.heightOfString(desc, { width: descWidth }));
+    ensureRoom(h + LINE);
+    doc.text(desc, MARGIN, y, { width: descWidth });
+    text(qtyX, y, String(item.quantity ?? ''), { size: 10, align: 'right' });
+    text(right, y, item.amount, { size: 10, align: 'right' });
+    y += h;
+    if (item.period?.start && item.period?.end && item.period.start !== item.period.end) {
+      text(MARGIN, y, `${item.period.start} – ${item.period.end}`, { size: 8 });
+      y += LINE - 2;
+    }
+    y += 4;
+  }
+  rule(y);
+  y += 10;
+
+  /* totals */
+  const totals = [
+    [labels.subtotal, data.subtotal],
+    [labels.discount, data.discount && `-${data.discount}`],
+    [labels.tax, data.tax],
+    [labels.total, data.total, true],
+    [labels.amountPaid, data.amountPaid || data.amount, true]
+  ].filter(([, v]) => v);
+  ensureRoom(totals.length * (LINE + 2) + 40);
+  for (const [label, value, bold] of totals) {
+    text(right - 150, y, label, { size: 10, bold });
+    text(right, y, value, { size: 10, bold, align: 'right' });
+    y += LINE + 2;
+  }
+
+  /* footer */
+  y += 24;
+  if (labels.thanks) text(MARGIN, y, labels.thanks, { size: 10 });
+
+  doc.end();
+  return done;
+}
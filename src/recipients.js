@@ -0,0 +1,75 @@
+/*
+ * Recipients besides the invoice's own address:
+ *
+ *   invoice / customer metadata  billing_emails, cc   the customer's other inboxes (accounts payable, ...)
+ *   brand registry "bcc"                              internal copies (finance mailbox)
+ *
+ * Metadata values are comma, semicolon or whitespace separated lists. Addresses are validated
+ * and deduplicated case-insensitively (the primary recipient first, then invoice, customer and
+ * brand lists); dropped ones are reported with the reason for the decision trace. When the
+ * primary is a TEST_TO override, all of them are dropped: a test send reaches the test inbox only.
+ *
+ * The brand's recipientMode says how they are sent:
+ *   cc        one message: metadata addresses in Cc, the brand's list in Bcc (default)
+ *   separate  one message per address, each with its own To
+ */
+
+export const RECIPIENT_MODES = ['cc', 'separate'];
+
+// metadata keys holding extra customer addresses
+export const RECIPIENT_KEYS = ['billing_emails', 'cc'];
+
+const EMAIL_RE = /^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[A-Za-z]{2,}$/;
+
+export const isValidEmail = (v) => EMAIL_RE.test(String(v || '').trim());
+
+/** "a@x.com; b@y.com" or an array → trimmed, non-empty entries */
+export const parseAddressList = (v) =>
+  (Array.isArray(v) ? v : String(v || '').split(/[\s,;]+/)).map((s) => String(s).trim()).filter(Boolean);
+
+/**
+ * Extra recipients for a notification.
+ * `sources` are [[label, obj]] whose metadata may list addresses (invoice, customer); `bcc` the
+ * brand's internal list; `testTo` whether `to` is a TEST_TO override. → { cc: [{ address, source }],
+ * bcc: [{ address, source }], dropped: [{ address, source, reason: 'invalid' | 'duplicate' | 'test_to' }] }
+ */
+export function collectRecipients({ to, sources, bcc = [], testTo = false }) {
+  const seen = new Set(to ? [String(to).toLowerCase()] : []);
+  const out = { cc: [], bcc: [], dropped: [] };
+  const add = (list, address, source) => {
+    const key = address.toLowerCase();
+    if (!isValidEmail(address)) out.dropped.push({ address, source, reason: 'invalid' });
+    else if (seen.has(key)) out.dropped.push({ address, source, reason: 'duplicate' });
+    else {
+      seen.add(key);
+      list.push({ address, source });
+    }
+  };
+  for (const [label, obj] of sources) {
+    for (const key of RECIPIENT_KEYS) {
+      for (const address of parseAddressList(obj?.metadata?.[key])) add(out.cc, address, `${label}.${key}`);
+    }
+  }
+  for (const address of bcc) add(out.bcc, address, 'brand');
+  if (testTo) {
+    out.dropped.push(...[...out.cc, ...out.bcc].map((r) => ({ ...r, reason: 'test_to' })));
+    out.cc = [];
+    out.bcc = [];
+  }
+  return out;
+}
+
+/**
+ * The message(s) to send for a message with cc/bcc per recipient mode:
+ * cc → [message], separate → [message without cc/bcc, one per cc address, one per bcc address].
+ * Copies carry `copy: 'cc' | 'bcc'` (not a transport field; the send log records it).
+ */
+export function splitMessage(message, mode = 'cc') {
+  const { cc = [], bcc = [], ...primary } = message;
+  if (mode !== 'separate' || (!cc.length && !bcc.length)) return [message];
+  return [
+    primary,
+    ...cc.map((to) => ({ ...primary, to, copy: 'cc' })),
+    ...bcc.map((to) => ({ ...primary, to, copy: 'bcc' }))
+  ];
+}
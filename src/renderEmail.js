@@ -1,10 +1,13 @@
-﻿import fetch from 'node-fetch';
-import juice from 'juice';
-import { readGcsText } from './utils/gcs.js';
-import { replacePlaceholders } from './utils/templating.js';
+﻿import { renderTemplate } from './utils/templating.js';
+import { localeChain } from './locale.js';
+import { getTranslator, notificationCopy, clearCatalogCache } from './i18n.js';
+import { createTemplateStoreFromEnv, createAssetStore, TemplateStoreError } from './templateStore.js';
+import { loadStylesheet, inlineTemplate, inlineFragment, purgeStylesheets } from './stylesheets.js';
+import { htmlToText } from './htmlToText.js';
 
-const TEMPLATES_BUCKET = process.env.TEMPLATES_BUCKET; // e.g., gs://yokweb-billing-001-email-templates
-const ASSETS_BUCKET    = process.env.ASSETS_BUCKET;    // e.g., gs://yokweb-billing-001-email-assets
+// TEMPLATES_DIR > TEMPLATES_BUCKET > ./templates (see src/templateStore.js)
+const templates = createTemplateStoreFromEnv();
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET; // e.g., gs://yokweb-billing-001-email-assets
 
 const LEGACY_TO_NEW = {
   "invoice-paid": "payment-paid",
@@ -13,108 +16,219 @@ const LEGACY_TO_NEW = {
   "payment-failed": "payment-failed",
   "refund-issued": "refund-issued"
 };
-const normalizeNotificationId = (id) => LEGACY_TO_NEW[id] || id;
+export const normalizeNotificationId = (id) => LEGACY_TO_NEW[id] || id;
+export const NOTIFICATION_IDS = [...new Set(Object.values(LEGACY_TO_NEW))];
 
-async function loadBrand(brandKey) {
-  const url = `${ASSETS_BUCKET}/brands/${brandKey}.json`;
-  const json = await readGcsText(url);
-  return JSON.parse(json);
+const stripBom = (s) => s.replace(/^\uFEFF/, '');
+
+// One asset store per bucket (brands may override ASSETS_BUCKET); ASSETS_DIR is layered on top
+const assetStores = new Map();
+function assetStore(assetsBucket) {
+  const bucket = assetsBucket || ASSETS_BUCKET || '';
+  if (!assetStores.has(bucket)) assetStores.set(bucket, createAssetStore(bucket));
+  return assetStores.get(bucket);
+}
+
+/**
+ * Drop cached templates, brand files and catalogs whose path (relative to their store)
+ * starts with `prefix` (everything when empty). Returns the number of cached files dropped.
+ */
+export function purgeTemplateCache(prefix = '') {
+  let n = templates.purge(prefix);
+  for (const store of assetStores.values()) n += store?.purge(prefix) || 0;
+  n += purgeStylesheets(prefix);
+  clearCatalogCache(prefix);
+  return n;
+}
+
+export function templateCacheStats() {
+  return {
+    templates: templates.stats(),
+    assets: Object.fromEntries([...assetStores].filter(([, s]) => s).map(([bucket, s]) => [bucket || 'local', s.stats()]))
+  };
+}
+
+// brands/<brand>.json; null when no asset store is configured or the file does not exist
+async function loadBrand(brandKey, assetsBucket) {
+  const hit = await assetStore(assetsBucket)?.get(`brands/${brandKey}.json`);
+  return hit ? JSON.parse(stripBom(hit.text)) : null;
 }
 
-async function loadTemplate({ brand, notificationId, serviceId, locale }) {
-  const tryPaths = [
-    `${TEMPLATES_BUCKET}/${brand}/${notificationId}/${locale}.html`,
-    `${TEMPLATES_BUCKET}/${brand}/${notificationId}/en.html`,
-    `${TEMPLATES_BUCKET}/${brand}/services/${serviceId}/${locale}.html`,
-    `${TEMPLATES_BUCKET}/${brand}/services/${serviceId}/en.html`
-  ];
-  for (const p of tryPaths) {
+// First existing path of `rels` → { text, path, rel } | null. A store error stops the lookup
+// (TemplateStoreError): a later, less specific path must not stand in for one we could not read.
+async function firstExisting(rels) {
+  for (const rel of rels) {
+    let hit;
     try {
-      return await readGcsText(p);
-    } catch {
-      // try next
+      hit = await templates.get(rel);
+    } catch (e) {
+      throw new TemplateStoreError(rel, e);
     }
+    if (hit) return { text: stripBom(hit.text), path: hit.path, rel };
   }
-  return `<!doctype html><html><body><p>Fallback: ${notificationId} (${locale})</p></body></html>`;
+  return null;
 }
 
-async function loadSubject({ brand, notificationId, locale }) {
-  const tryPaths = [
-    `${TEMPLATES_BUCKET}/${brand}/${notificationId}/${locale}.subject.txt`,
-    `${TEMPLATES_BUCKET}/${brand}/${notificationId}/en.subject.txt`
-  ];
-  for (const p of tryPaths) {
-    try {
-      const txt = await readGcsText(p);
-      return txt.replace(/^\uFEFF/, ''); // strip BOM
-    } catch {}
+/**
+ * Template paths relative to the bucket root, in lookup order. Every directory walks the
+ * same locale chain, e.g. de-AT → de → brand default → en.
+ * Service templates are per notification (services/<service>/<notification>/); the bare
+ * service directories only ever held the paid receipt, so only payment-paid falls back to them.
+ */
+export function templateCandidates({ brand, notificationId, serviceId, locales }) {
+  const dirs = [`${brand}/${notificationId}`, `${brand}/services/${serviceId}/${notificationId}`];
+  if (notificationId === 'payment-paid') {
+    // legacy layout used by the webhook before renderEmail: <brand>/<service>/<locale>.html
+    dirs.push(`${brand}/services/${serviceId}`, `${brand}/${serviceId}`);
   }
-  return null;
+  return dirs.flatMap((d) => locales.map((l) => `${d}/${l}.html`));
+}
+
+export function subjectCandidates({ brand, notificationId, locales }) {
+  return locales.map((l) => `${brand}/${notificationId}/${l}.subject.txt`);
+}
+
+async function loadTemplate({ brand, notificationId, serviceId, locales }) {
+  const hit = await firstExisting(templateCandidates({ brand, notificationId, serviceId, locales }));
+  if (hit) return { html: hit.text, path: hit.path, rel: hit.rel };
+  return {
+    html: `<!doctype html><html><body><p>Fallback: ${notificationId} (${locales[0]})</p></body></html>`,
+    path: null
+  };
+}
+
+// Hand-written text part next to the HTML template: <dir>/<locale>.txt beside <dir>/<locale>.html.
+// Only the sibling is used so the text part never comes from a different locale than the HTML.
+export const textCandidate = (templateRel) => templateRel.replace(/\.html$/, '.txt');
+
+async function loadText(templateRel) {
+  if (!templateRel) return null;
+  return firstExisting([textCandidate(templateRel)]);
+}
+
+async function loadSubject({ brand, notificationId, locales }) {
+  const hit = await firstExisting(subjectCandidates({ brand, notificationId, locales }));
+  return hit ? hit.text : null;
 }
 
-// Fetch CSS via HTTPS and inline with juice for robust email client rendering
-async function inlineCss(html, brand) {
-  const cssUrl = brand?.assets?.cssUrl;
-  if (!cssUrl) return html;
+// Shared brand blocks used as {{> header}} / {{> footer}}; a bucket copy overrides these
+export const DEFAULT_PARTIALS = {
+  header:
+    '{{#if brand.logoUrl}}<img src="{{brand.logoUrl}}" alt="{{brand.brandName}}" height="40">' +
+    '{{else}}<strong>{{brand.brandName}}</strong>{{/if}}',
+  footer:
+    '<p>{{brand.brandName}}{{#if brand.brandAddress}} · {{brand.brandAddress}}{{/if}}' +
+    '{{#if brand.companyNo}} · {{brand.companyNo}}{{/if}}{{#if brand.vatNo}} · VAT {{brand.vatNo}}{{/if}}</p>' +
+    '{{#if brand.supportEmail}}<p>{{link (concat "mailto:" brand.supportEmail) brand.supportEmail}}</p>{{/if}}' +
+    '<p>{{link brand.privacyLink t.labels.privacy}} {{link brand.termsLink t.labels.terms}}</p>'
+};
 
-  const res = await fetch(cssUrl);
-  if (!res.ok) return html;
-  const css = await res.text();
+// <brand>/partials/<name>.html, then partials/<name>.html shared by all brands
+export const partialCandidates = (brand, name) => [`${brand}/partials/${name}.html`, `partials/${name}.html`];
 
-  const injected = html.includes("</head>")
-    ? html.replace("</head>", `<style>${css}</style></head>`)
-    : `<style>${css}</style>${html}`;
+async function loadPartials(brand) {
+  const partials = { ...DEFAULT_PARTIALS };
+  for (const name of Object.keys(DEFAULT_PARTIALS)) {
+    const hit = await firstExisting(partialCandidates(brand, name));
+    if (hit) partials[name] = hit.text;
+  }
+  return partials;
+}
 
-  return juice(injected);
+// Inline the brand stylesheet into the template and its partials (memoized per version).
+// Problems are pushed to `diagnostics` and the unstyled markup is used.
+async function applyStylesheet({ html, partials, brand, assetsBucket, diagnostics }) {
+  const sheet = await loadStylesheet(brand, { assetStore: assetStore(assetsBucket) });
+  if (!sheet) return { html, partials };
+  if (sheet.error) {
+    diagnostics.push({ level: 'error', code: 'css_missing', message: `stylesheet ${sheet.source}: ${sheet.error}` });
+    return { html, partials };
+  }
+  if (sheet.warning) {
+    diagnostics.push({ level: 'warn', code: 'css_stale', message: `stylesheet ${sheet.source}: ${sheet.warning}` });
+  }
+  try {
+    return {
+      html: inlineTemplate(html, sheet),
+      partials: Object.fromEntries(Object.entries(partials).map(([k, v]) => [k, inlineFragment(v, sheet)])),
+      stylesheet: sheet.version
+    };
+  } catch (e) {
+    diagnostics.push({ level: 'error', code: 'css_inline_failed', message: `stylesheet ${sheet.source}: ${e.message}` });
+    return { html, partials };
+  }
 }
 
-export async function renderEmail({ brandKey, locale, notificationId, serviceId, systemData }) {
-  const brand = await loadBrand(brandKey);
+// assetsBucket: per-brand override of ASSETS_BUCKET (from the brand registry)
+// defaultLocale: the brand's default, tried after the locale's own parents (de-AT → de)
+// timeZone: the brand's zone for the {{date}} helper
+// brandLabel: brandName used when there is no brands/<brand>.json (e.g. local rendering without GCS)
+export async function renderEmail({
+  brandKey,
+  brandLabel,
+  locale,
+  defaultLocale,
+  timeZone,
+  notificationId,
+  serviceId,
+  systemData,
+  assetsBucket
+}) {
+  const brand = (await loadBrand(brandKey, assetsBucket)) || { brandName: brandLabel || brandKey };
   const normalized = normalizeNotificationId(notificationId);
+  const locales = localeChain(locale, defaultLocale);
 
-  const htmlTpl = await loadTemplate({
+  const { html: htmlTpl, path: templatePath, rel: templateRel } = await loadTemplate({
     brand: brandKey,
     notificationId: normalized,
     serviceId,
-    locale
+    locales
   });
 
   const subjectTpl = await loadSubject({
     brand: brandKey,
     notificationId: normalized,
-    locale
+    locales
   });
 
-  const data = { ...systemData, brand, locale, notificationId: normalized, serviceId };
-
-  const withCss = await inlineCss(htmlTpl, brand);
-  const html = replacePlaceholders(withCss, data);
+  // Catalog copy (catalogs/<locale>.json) is exposed to templates as {{t.intro}}, {{t.labels.amount}}, ...
+  const base = { ...systemData, brand, brandName: brand?.brandName, locale, timeZone, notificationId: normalized, serviceId };
+  const tr = await getTranslator({ brand: brandKey, locale, defaultLocale });
+  const t = notificationCopy(tr, normalized, base);
+  const data = { ...base, t, preheader: systemData?.preheader || t.preheader };
+
+  const diagnostics = [];
+  const styled = await applyStylesheet({
+    html: htmlTpl,
+    partials: await loadPartials(brandKey),
+    brand,
+    assetsBucket,
+    diagnostics
+  });
+  const html = renderTemplate(styled.html, data, { partials: styled.partials });
 
   const subject = subjectTpl
-    ? replacePlaceholders(subjectTpl, data)
-    : defaultSubject(normalized, data);
-
-  // Quick text alternative
-  const text = html
-    .replace(/<style[\s\S]*?<\/style>/gi, "")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  return { html, text, subject };
-}
-
-function defaultSubject(notificationId, data) {
-  switch (notificationId) {
-    case "payment-paid":
-      return `${data.brand.brandName}: Payment received — order ${data.invoiceNo || ""}`.trim();
-    case "payment-failed":
-      return `${data.brand.brandName}: Payment failed`;
-    case "payment-paid-sub-renew":
-      return `${data.brand.brandName}: Subscription renewed`;
-    case "refund-issued":
-      return `${data.brand.brandName}: Refund processed`;
-    default:
-      return `${data.brand.brandName}: Update`;
+    ? renderTemplate(subjectTpl, data, { html: false }).trim()
+    : t.subject || `${brand?.brandName}: Update`;
+
+  // Text part: <locale>.txt beside the template, else the template converted to text, else
+  // (no template, only the fallback stub) the catalog's plain-text body
+  const textTpl = await loadText(templateRel);
+  let text;
+  let textSource;
+  if (textTpl) {
+    text = renderTemplate(textTpl.text, data, { html: false }).trim();
+    textSource = textTpl.path;
+  } else if (templatePath || !tr.has(`${normalized}.intro`)) {
+    text = htmlToText(html);
+    textSource = 'html';
+  } else {
+    text = t.text;
+    textSource = 'catalog';
   }
+
+  // templatePath is null when the "Fallback: ..." stub was used; callers may prefer their own copy.
+  // textSource: path of the .txt template, "html" (converted) or "catalog"
+  // diagnostics: [{ level, code, message }] for the render log (e.g. css_missing)
+  return { html, text, subject, templatePath, textSource, brand, stylesheet: styled.stylesheet || null, diagnostics };
 }
@@ -0,0 +1,158 @@
+import { randomUUID } from 'crypto';
+import { openJsonFile } from './utils/jsonFile.js';
+
+/*
+ * Send log: one record per notification decision (sent, queued, suppressed, ...), so
+ * "I never got my receipt" is answered by GET /admin/sends instead of a log search.
+ *
+ * Record shape:
+ *   { id, at, eventId, eventType, invoiceId, notifyKey, notification, brand, locale, to, cc, bcc,
+ *     recipients (to + cc + bcc, lower-cased; what an email lookup matches),
+ *     status: 'sent' | 'queued' | 'failed' | 'suppressed' | 'skipped' | 'duplicate' | 'dry-run' | 'shadow',
+ *     reason, messageId, provider, templateSource, templatePath, jobId, error, resend, updatedAt,
+ *     copy (separate-mode copy: 'cc' | 'bcc'), suppressedRecipients: [{ address, reason }],
+ *     file (dry-run), shadow: [{ to, messageId | error }] }
+ * Retries from the send queue update the record they started from.
+ *
+ * Stores implement add(record), update(id, patch) and find(field, value) → records;
+ * find() is only asked for invoiceId, to, recipients (array contains) and eventId.
+ */
+
+const matches = (field, value) => (r) => (Array.isArray(r[field]) ? r[field].includes(value) : r[field] === value);
+
+/** Newest `max` records in process memory. */
+export function createMemorySendLogStore({ max = 5000 } = {}) {
+  const records = new Map();
+  return {
+    kind: 'memory',
+    async add(record) {
+      records.set(record.id, record);
+      if (records.size > max) records.delete(records.keys().next().value);
+    },
+    async update(id, patch) {
+      if (records.has(id)) Object.assign(records.get(id), patch);
+    },
+    async find(field, value) {
+      return [...records.values()].filter(matches(field, value));
+    }
+  };
+}
+
+/** JSON file keeping the newest `max` records; single instance only. */
+export function createFileSendLogStore({ path, max = 5000 }) {
+  const file = openJsonFile(path);
+  return {
+    kind: 'file',
+    add: (record) =>
+      file.update((d) => {
+        d[record.id] = record;
+        const ids = Object.keys(d);
+        for (const id of ids.slice(0, Math.max(0, ids.length - max))) delete d[id];
+      }),
+    update: (id, patch) =>
+      file.update((d) => {
+        if (d[id]) Object.assign(d[id], patch);
+      }),
+    find: (field, value) => file.read((d) => Object.values(d).filter(matches(field, value)))
+  };
+}
+
+/**
+ * Firestore collection; shared by all instances. Emails are stored lower-cased so equality
+ * queries match. Set a Firestore TTL policy on `at` to expire old records.
+ */
+export async function createFirestoreSendLogStore({ db, collection }) {
+  if (!db) {
+    const { Firestore } = await import('@google-cloud/firestore');
+    db = new Firestore({ ignoreUndefinedProperties: true });
+  }
+  const col = db.collection(collection);
+  return {
+    kind: 'firestore',
+    async add(record) {
+      await col.doc(record.id).set(record);
+    },
+    async update(id, patch) {
+      await col.doc(id).set(patch, { merge: true });
+    },
+    async find(field, value) {
+      // no orderBy: that would need a composite index per field; find() sorts
+      const op = field === 'recipients' ? 'array-contains' : '==';
+      const snap = await col.where(field, op, value).limit(500).get();
+      return snap.docs.map((d) => d.data());
+    }
+  };
+}
+
+export function createSendLog(store) {
+  const now = () => new Date().toISOString();
+
+  return {
+    store,
+
+    /** Record one decision → the stored record (its id goes into send-queue meta for retries). */
+    async record(entry) {
+      const lower = (list) => (list || []).map((a) => String(a).toLowerCase());
+      const to = entry.to ? String(entry.to).toLowerCase() : null;
+      const record = {
+        id: randomUUID(),
+        at: now(),
+        ...entry,
+        to,
+        recipients: [...new Set([to, ...lower(entry.cc), ...lower(entry.bcc)].filter(Boolean))]
+      };
+      try {
+        await store.add(record);
+      } catch (e) {
+        // the log is for support; it never holds up a send
+        console.warn('Send log write failed:', e?.message || e);
+      }
+      return record;
+    },
+
+    async update(id, patch) {
+      if (!id) return;
+      try {
+        await store.update(id, { ...patch, updatedAt: now() });
+      } catch (e) {
+        console.warn('Send log update failed:', e?.message || e);
+      }
+    },
+
+    /** Records for an invoice id, recipient email (to, cc or bcc) or event id, newest first. */
+    async find({ invoiceId, email, eventId, limit = 100 }) {
+      const [field, value] = invoiceId
+        ? ['invoiceId', invoiceId]
+        : email
+          ? ['to', email]
+          : ['eventId', eventId];
+      if (!value) return [];
+      const key = String(value).trim();
+      let found;
+      if (field === 'to') {
+        // records written before cc/bcc only have `to`
+        const both = [...(await store.find('to', key.toLowerCase())), ...(await store.find('recipients', key.toLowerCase()))];
+        found = [...new Map(both.map((r) => [r.id, r])).values()];
+      } else found = await store.find(field, key);
+      return found.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+    }
+  };
+}
+
+/**
+ * Send log selected by env:
+ *   SEND_LOG_STORE=memory|file|firestore (default memory – per instance only)
+ *   SEND_LOG_FILE=./.data/send-log.json, SEND_LOG_COLLECTION=email-send-log
+ *   SEND_LOG_MAX=5000 (memory/file: older records are dropped)
+ */
+export async function createSendLogFromEnv(env = process.env) {
+  const kind = (env.SEND_LOG_STORE || 'memory').toLowerCase();
+  const max = Number(env.SEND_LOG_MAX) || undefined;
+  let store;
+  if (kind === 'memory') store = createMemorySendLogStore({ max });
+  else if (kind === 'file') store = createFileSendLogStore({ path: env.SEND_LOG_FILE || './.data/send-log.json', max });
+  else if (kind === 'firestore') {
+    store = await createFirestoreSendLogStore({ collection: env.SEND_LOG_COLLECTION || 'email-send-log' });
+  } else throw new Error(`Unknown SEND_LOG_STORE: ${kind}`);
+  return createSendLog(store);
+}
@@ -0,0 +1,381 @@
+import { randomUUID } from 'crypto';
+import { openJsonFile } from './utils/jsonFile.js';
+
+/*
+ * Outbound send queue: failed sends are retried with exponential backoff and,
+ * once exhausted (or on a permanent error), parked in a dead-letter list that
+ * can be inspected and re-driven.
+ *
+ * Job shape:
+ *   { id, status: 'pending' | 'processing' | 'dead', message, meta, attempts, nextAttemptAt,
+ *     leaseUntil, leaseId, lastError, lastErrorKind, createdAt, updatedAt }
+ * `message` is whatever the send function takes (plain JSON); `meta` is opaque to
+ * the queue and handed back to the onSent/onDead hooks.
+ *
+ * Stores implement: put(job), get(id), remove(id), list() -> jobs. A store shared by several
+ * instances (Firestore) also implements
+ *   listDue(t)                  jobs due at t, without reading the rest
+ *   claim(id, t, patch)         atomically apply `patch` if the job is still due -> job | null
+ *   settle(id, leaseId, next)   atomically replace (next) or delete (null) the job if the lease
+ *                               is still `leaseId` -> whether it was
+ * and jobs are run under a lease (leasedJobs below); memory and file stores serve one instance:
+ * a second one would retry the same jobs, and the memory store loses them on restart.
+ */
+
+/* ---------- error classification ---------- */
+
+const THROTTLE_NAMES = /TooManyRequests|Throttl|LimitExceeded|SlowDown|RequestLimitExceeded/i;
+const TRANSIENT_NAMES = /ServiceUnavailable|InternalFailure|InternalServerError|Timeout|RequestTimeout|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|NetworkingError|socket hang up/i;
+const RECIPIENT_TEXT = /suppression list|suppressed|complaint|invalid address|illegal address|mailbox unavailable|does not exist|unknown user|recipient rejected/i;
+const PERMANENT_TEXT = /not verified|MessageRejected|AccountSuspended|SendingPaused/i;
+
+/** Errors about the recipient itself; no provider or retry will help. */
+export function isRecipientError(err) {
+  return RECIPIENT_TEXT.test(String(err?.message || err || ''));
+}
+
+/**
+ * 'throttle' | 'transient' | 'permanent'
+ * Unknown errors are treated as transient: a retry is cheap, a lost receipt is not.
+ */
+export function classifySendError(err) {
+  const name = String(err?.name || err?.code || '');
+  const msg = String(err?.message || err || '');
+  const status = err?.$metadata?.httpStatusCode ?? err?.status ?? err?.statusCode;
+
+  if (THROTTLE_NAMES.test(name) || status === 429 || err?.$retryable?.throttling) return 'throttle';
+  if (isRecipientError(err) || PERMANENT_TEXT.test(name) || PERMANENT_TEXT.test(msg)) return 'permanent';
+  // SMTP reply codes: 4xx try again later, 5xx final
+  if (typeof err?.responseCode === 'number') return err.responseCode >= 500 ? 'permanent' : 'transient';
+  if (TRANSIENT_NAMES.test(name) || TRANSIENT_NAMES.test(msg) || err?.$retryable) return 'transient';
+  if (typeof status === 'number' && status >= 500) return 'transient';
+  if (typeof status === 'number' && status >= 400) return 'permanent';
+  return 'transient';
+}
+
+/** Delay before attempt n+1 (n = attempts so far), with ±20% jitter. */
+export function backoffMs(attempts, { baseDelayMs, maxDelayMs, kind }) {
+  const base = kind === 'throttle' ? baseDelayMs * 4 : baseDelayMs;
+  const delay = Math.min(maxDelayMs, base * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/* ---------- stores ---------- */
+
+export function createMemoryQueueStore() {
+  const jobs = new Map();
+  return {
+    kind: 'memory',
+    async put(job) {
+      jobs.set(job.id, job);
+    },
+    async get(id) {
+      return jobs.get(id) || null;
+    },
+    async remove(id) {
+      jobs.delete(id);
+    },
+    async list() {
+      return [...jobs.values()];
+    }
+  };
+}
+
+/** JSON file store; single instance only (Cloud Run needs min-instances=1 to keep it). */
+export function createFileQueueStore({ path }) {
+  const file = openJsonFile(path);
+  return {
+    kind: 'file',
+    put: (job) =>
+      file.update((d) => {
+        d[job.id] = job;
+      }),
+    get: (id) => file.read((d) => d[id] || null),
+    remove: (id) =>
+      file.update((d) => {
+        delete d[id];
+      }),
+    list: () => file.read((d) => Object.values(d))
+  };
+}
+
+/** Due = pending and past its retry time, or processing with an expired lease. */
+export const isDue = (j, t) =>
+  (j.status === 'pending' && j.nextAttemptAt <= t) || (j.status === 'processing' && j.leaseUntil <= t);
+
+/**
+ * Firestore collection as a queue store; shared by all instances. Claims and settlements are
+ * transactions; listDue needs composite indexes on (status, nextAttemptAt) and (status, leaseUntil).
+ */
+export async function createFirestoreQueueStore({ db, collection }) {
+  if (!db) {
+    const { Firestore } = await import('@google-cloud/firestore');
+    db = new Firestore({ ignoreUndefinedProperties: true });
+  }
+  const col = db.collection(collection);
+  return {
+    kind: 'firestore',
+    async put(job) {
+      await col.doc(job.id).set(job);
+    },
+    async get(id) {
+      const snap = await col.doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async remove(id) {
+      await col.doc(id).delete();
+    },
+    async list() {
+      return (await col.get()).docs.map((d) => d.data());
+    },
+    async listDue(t) {
+      const [pending, expired] = await Promise.all([
+        col.where('status', '==', 'pending').where('nextAttemptAt', '<=', t).get(),
+        col.where('status', '==', 'processing').where('leaseUntil', '<=', t).get()
+      ]);
+      return [...pending.docs, ...expired.docs].map((d) => d.data());
+    },
+    async claim(id, t, patch) {
+      const ref = col.doc(id);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const job = snap.exists ? snap.data() : null;
+        if (!job || !isDue(job, t)) return null;
+        tx.update(ref, patch);
+        return { ...job, ...patch };
+      });
+    },
+    async settle(id, leaseId, next) {
+      const ref = col.doc(id);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists || snap.data().leaseId !== leaseId) return false;
+        if (next) tx.set(ref, next);
+        else tx.delete(ref);
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Lease-based ownership of jobs in `store`: claim marks a due job 'processing' for leaseMs under
+ * a fresh leaseId, settle replaces (next) or removes (null) it only while that lease still holds
+ * (false otherwise: another instance took it over). Stores without claim/settle (memory, file)
+ * have a single worker, which owns every job.
+ */
+export function leasedJobs(store, { leaseMs }) {
+  return {
+    listDue: async (t) => (store.listDue ? store.listDue(t) : (await store.list()).filter((j) => isDue(j, t))),
+
+    async claim(job) {
+      const t = Date.now();
+      const patch = {
+        status: 'processing',
+        leaseUntil: t + leaseMs,
+        leaseId: randomUUID(),
+        updatedAt: new Date(t).toISOString()
+      };
+      if (store.claim) return store.claim(job.id, t, patch);
+      Object.assign(job, patch);
+      await store.put(job);
+      return job;
+    },
+
+    async settle(job, next) {
+      if (store.settle) return store.settle(job.id, job.leaseId, next);
+      if (next) await store.put(next);
+      else await store.remove(job.id);
+      return true;
+    }
+  };
+}
+
+/* ---------- queue ---------- */
+
+/**
+ * @param store       queue store (see above)
+ * @param send        async (message) -> provider response
+ * @param onSent      async (job, resp) after a retry succeeds; a throw is logged, never retried
+ *                    (the mail went out)
+ * @param onDead      async (job) when a job is dead-lettered
+ */
+export function createSendQueue({
+  store,
+  send,
+  onSent = async () => {},
+  onDead = async () => {},
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  leaseMs = 5 * 60 * 1000,
+  pollMs = 15 * 1000
+}) {
+  let timer = null;
+  let running = false;
+  const now = () => new Date().toISOString();
+  const { listDue, claim, settle } = leasedJobs(store, { leaseMs });
+  // first failures are new jobs; retried ones are written back under the lease they ran with
+  const putJob = async (job) => {
+    await store.put(job);
+    return true;
+  };
+
+  async function deadLetter(job, save) {
+    job.status = 'dead';
+    job.updatedAt = now();
+    if (!(await save(job))) return job;
+    console.error(`Send job ${job.id} dead-lettered after ${job.attempts} attempt(s):`, job.lastError);
+    try {
+      await onDead(job);
+    } catch (e) {
+      console.warn('onDead hook failed:', e?.message || e);
+    }
+    return job;
+  }
+
+  /**
+   * Record a failed attempt; schedule a retry or dead-letter. `save` persists the job and
+   * returns false when the lease it ran under was lost (another instance's outcome wins).
+   */
+  async function recordFailure(job, err, save = putJob) {
+    const kind = classifySendError(err);
+    job.attempts += 1;
+    job.lastError = String(err?.message || err);
+    job.lastErrorKind = kind;
+    job.updatedAt = now();
+    if (kind === 'permanent' || job.attempts >= maxAttempts) return deadLetter(job, save);
+
+    job.status = 'pending';
+    job.nextAttemptAt = Date.now() + backoffMs(job.attempts, { baseDelayMs, maxDelayMs, kind });
+    if (!(await save(job))) return job;
+    console.warn(
+      `Send job ${job.id} retry ${job.attempts}/${maxAttempts} (${kind}) at ${new Date(job.nextAttemptAt).toISOString()}`
+    );
+    return job;
+  }
+
+  const queue = {
+    store,
+
+    /**
+     * Take over a message whose first send just failed with `err`.
+     * Returns the job; job.status tells whether it will be retried ('pending') or not ('dead').
+     */
+    async handleFailure(message, err, meta = {}) {
+      const job = {
+        id: randomUUID(),
+        status: 'pending',
+        message,
+        meta,
+        attempts: 0,
+        createdAt: now()
+      };
+      return recordFailure(job, err);
+    },
+
+    /** Attempt every pending job that is due. Safe to call concurrently (no-op while running). */
+    async runDue() {
+      if (running) return 0;
+      running = true;
+      let attempted = 0;
+      try {
+        const due = (await listDue(Date.now())).sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+        for (const candidate of due) {
+          const job = await claim(candidate);
+          if (!job) continue; // another instance got it first
+          attempted += 1;
+          const { leaseId, leaseUntil, ...rest } = job;
+          let resp;
+          try {
+            resp = await send(job.message);
+          } catch (err) {
+            await recordFailure(rest, err, (next) => settle({ ...next, leaseId }, next));
+            continue;
+          }
+          // only the send itself may put a job back: anything failing after it is logged, or the
+          // mail would go out again
+          try {
+            if (!(await settle(job, null))) console.warn(`Send job ${job.id} lease lost after sending`);
+          } catch (e) {
+            console.error(`Send job ${job.id} sent but not removed:`, e?.message || e);
+          }
+          try {
+            await onSent(job, resp);
+          } catch (e) {
+            console.warn('onSent hook failed:', e?.message || e);
+          }
+        }
+      } finally {
+        running = false;
+      }
+      return attempted;
+    },
+
+    async listPending() {
+      return (await store.list()).filter((j) => j.status !== 'dead');
+    },
+
+    async listDead() {
+      return (await store.list()).filter((j) => j.status === 'dead');
+    },
+
+    /** Put a dead-lettered job back in the queue with a fresh attempt budget. */
+    async redrive(id) {
+      const job = await store.get(id);
+      if (!job || job.status !== 'dead') return null;
+      delete job.leaseId;
+      Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), updatedAt: now() });
+      await store.put(job);
+      return job;
+    },
+
+    async discard(id) {
+      const job = await store.get(id);
+      if (!job) return false;
+      await store.remove(id);
+      return true;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        queue.runDue().catch((e) => console.error('Send queue run failed:', e));
+      }, pollMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+  return queue;
+}
+
+/**
+ * Queue selected by env:
+ *   SEND_QUEUE_STORE=memory|file|firestore (default memory; memory and file are per instance,
+ *                    firestore is shared and survives restarts)
+ *   SEND_QUEUE_FILE=./.data/send-queue.json, SEND_QUEUE_COLLECTION=webhook-send-queue
+ *   SEND_QUEUE_MAX_ATTEMPTS=8, SEND_QUEUE_BASE_DELAY_MS=30000, SEND_QUEUE_POLL_MS=15000
+ */
+export async function createSendQueueFromEnv({ send, onSent, onDead }, env = process.env) {
+  const kind = (env.SEND_QUEUE_STORE || 'memory').toLowerCase();
+  let store;
+  if (kind === 'memory') store = createMemoryQueueStore();
+  else if (kind === 'file') store = createFileQueueStore({ path: env.SEND_QUEUE_FILE || './.data/send-queue.json' });
+  else if (kind === 'firestore') {
+    store = await createFirestoreQueueStore({ collection: env.SEND_QUEUE_COLLECTION || 'webhook-send-queue' });
+  } else throw new Error(`Unknown SEND_QUEUE_STORE: ${kind}`);
+
+  return createSendQueue({
+    store,
+    send,
+    onSent,
+    onDead,
+    maxAttempts: Number(env.SEND_QUEUE_MAX_ATTEMPTS) || undefined,
+    baseDelayMs: Number(env.SEND_QUEUE_BASE_DELAY_MS) || undefined,
+    pollMs: Number(env.SEND_QUEUE_POLL_MS) || undefined
+  });
+}
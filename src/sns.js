@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+/*
+ * Amazon SNS HTTP(S) subscription helpers: signature verification and
+ * subscription confirmation. See
+ * https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+ */
+
+// Only certificates and confirmation URLs served by SNS itself are trusted
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const SIGNED_KEYS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const certCache = new Map();
+
+function isSnsUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'https:' && SNS_HOST.test(u.hostname);
+  } catch {
+    return false;
+  }
+}
+
+async function loadCert(url) {
+  if (certCache.has(url)) return certCache.get(url);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`SNS certificate fetch failed: ${res.status}`);
+  const pem = await res.text();
+  certCache.set(url, pem);
+  return pem;
+}
+
+/** Canonical "Key\nValue\n" string SNS signs; Subject is only included when present. */
+export function snsStringToSign(msg) {
+  const keys = SIGNED_KEYS[msg.Type];
+  if (!keys) throw new Error(`Unknown SNS message type: ${msg.Type}`);
+  return keys
+    .filter((k) => msg[k] !== undefined && msg[k] !== null)
+    .map((k) => `${k}\n${msg[k]}\n`)
+    .join('');
+}
+
+// Anyone can sign SNS messages from their own topic; only listed topics are ours
+function assertAllowedTopic(msg, topicArns) {
+  if (!topicArns.length) throw new Error('No SNS topic is allowed (SNS_TOPIC_ARNS is empty)');
+  if (!topicArns.includes(msg.TopicArn)) throw new Error(`Unexpected TopicArn: ${msg.TopicArn}`);
+}
+
+/**
+ * Verify an SNS message; throws on any problem.
+ * @param topicArns allow-list of TopicArn values; empty rejects every message
+ */
+export async function verifySnsMessage(msg, { topicArns = [], getCert = loadCert } = {}) {
+  if (!msg || typeof msg !== 'object') throw new Error('SNS message is not an object');
+  if (!isSnsUrl(msg.SigningCertURL) || !/\.pem$/.test(new URL(msg.SigningCertURL).pathname)) {
+    throw new Error('Untrusted SigningCertURL');
+  }
+  assertAllowedTopic(msg, topicArns);
+
+  const algo = msg.SignatureVersion === '2' ? 'RSA-SHA256' : msg.SignatureVersion === '1' ? 'RSA-SHA1' : null;
+  if (!algo) throw new Error(`Unsupported SignatureVersion: ${msg.SignatureVersion}`);
+
+  const verifier = crypto.createVerify(algo);
+  verifier.update(snsStringToSign(msg), 'utf8');
+  const cert = await getCert(msg.SigningCertURL);
+  if (!verifier.verify(cert, msg.Signature, 'base64')) throw new Error('Invalid SNS signature');
+  return true;
+}
+
+/** Confirm a (verified) SubscriptionConfirmation from an allowed topic by visiting its SubscribeURL. */
+export async function confirmSnsSubscription(msg, { topicArns = [] } = {}) {
+  assertAllowedTopic(msg, topicArns);
+  if (!isSnsUrl(msg.SubscribeURL)) throw new Error('Untrusted SubscribeURL');
+  const res = await fetch(msg.SubscribeURL);
+  if (!res.ok) throw new Error(`SNS subscription confirm failed: ${res.status}`);
+  console.log('SNS subscription confirmed for', msg.TopicArn);
+}
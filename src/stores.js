@@ -0,0 +1,207 @@
+import { openJsonFile } from './utils/jsonFile.js';
+
+/*
+ * Key/value stores shared by the ledger and the suppression list.
+ * All of them implement:
+ *   create(key, value) -> true if the key was new, false if it already existed (must be atomic)
+ *   get(key)           -> value | null
+ *   put(key, value)    -> overwrite
+ *   replace(key, expected, value)
+ *                      -> overwrite only if the stored value still equals `expected` (what get
+ *                         returned); false when someone else changed or removed it (atomic)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// key order does not matter (Firestore does not keep it)
+const canonical = (v) =>
+  v && typeof v === 'object'
+    ? Array.isArray(v)
+      ? `[${v.map(canonical).join(',')}]`
+      : `{${Object.keys(v)
+          .sort()
+          .map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`)
+          .join(',')}}`
+    : JSON.stringify(v);
+const sameValue = (a, b) => canonical(a) === canonical(b);
+
+export function createMemoryStore({ ttlMs = 30 * DAY_MS } = {}) {
+  const map = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const hit = map.get(key);
+    if (!hit) return null;
+    if (Date.now() > hit.expiresAt) {
+      map.delete(key);
+      return null;
+    }
+    return hit;
+  };
+
+  return {
+    kind: 'memory',
+    async create(key, value) {
+      if (live(key)) return false;
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async put(key, value) {
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async replace(key, expected, value) {
+      const hit = live(key);
+      if (!hit || !sameValue(hit.value, expected)) return false;
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    }
+  };
+}
+
+/**
+ * JSON file store for local runs and single-instance deployments.
+ */
+export function createFileStore({ path, ttlMs = 30 * DAY_MS }) {
+  const file = openJsonFile(path);
+  const alive = (hit) => hit && Date.now() <= hit.expiresAt;
+
+  function prune(d) {
+    for (const [k, v] of Object.entries(d)) {
+      if (!alive(v)) delete d[k];
+    }
+  }
+
+  return {
+    kind: 'file',
+    create(key, value) {
+      return file.update((d) => {
+        prune(d);
+        if (d[key]) return false;
+        d[key] = { value, expiresAt: Date.now() + ttlMs };
+        return true;
+      });
+    },
+    get(key) {
+      return file.read((d) => (alive(d[key]) ? d[key].value : null));
+    },
+    put(key, value) {
+      return file.update((d) => {
+        d[key] = { value, expiresAt: Date.now() + ttlMs };
+      });
+    },
+    replace(key, expected, value) {
+      return file.update((d) => {
+        if (!alive(d[key]) || !sameValue(d[key].value, expected)) return false;
+        d[key] = { value, expiresAt: Date.now() + ttlMs };
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Firestore store; shared across Cloud Run instances. No TTL here: set a Firestore TTL policy
+ * on the collection if records should expire.
+ * Pass a Firestore instance, or one is created from @google-cloud/firestore (an optional dependency).
+ */
+export async function createFirestoreStore({ db, collection } = {}) {
+  if (!db) {
+    const { Firestore } = await import('@google-cloud/firestore');
+    db = new Firestore({ ignoreUndefinedProperties: true });
+  }
+  const col = db.collection(collection);
+  const ALREADY_EXISTS = 6; // gRPC status code
+
+  return {
+    kind: 'firestore',
+    async create(key, value) {
+      try {
+        await col.doc(key).create(value);
+        return true;
+      } catch (e) {
+        if (e?.code === ALREADY_EXISTS) return false;
+        throw e;
+      }
+    },
+    async get(key) {
+      const snap = await col.doc(key).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async put(key, value) {
+      await col.doc(key).set(value);
+    },
+    async replace(key, expected, value) {
+      const ref = col.doc(key);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists || !sameValue(snap.data(), expected)) return false;
+        tx.set(ref, value);
+        return true;
+      });
+    }
+  };
+}
+
+// SET only if the stored JSON is still the expected one (values are written by JSON.stringify,
+// so get → parse → stringify gives the stored string back)
+const REPLACE_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  return 1
+end
+return 0`;
+
+/**
+ * Redis store (node-redis v4 client API: set(key, val, { NX, PX })).
+ * Pass a connected client, or one is created from REDIS_URL via the "redis" package.
+ */
+export async function createRedisStore({ client, url, prefix = '', ttlMs = 30 * DAY_MS } = {}) {
+  if (!client) {
+    const { createClient } = await import('redis');
+    client = createClient({ url });
+    await client.connect();
+  }
+
+  return {
+    kind: 'redis',
+    async create(key, value) {
+      const ok = await client.set(prefix + key, JSON.stringify(value), { NX: true, PX: ttlMs });
+      return ok === 'OK';
+    },
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async put(key, value) {
+      await client.set(prefix + key, JSON.stringify(value), { PX: ttlMs });
+    },
+    async replace(key, expected, value) {
+      const ok = await client.eval(REPLACE_SCRIPT, {
+        keys: [prefix + key],
+        arguments: [JSON.stringify(expected), JSON.stringify(value), String(ttlMs)]
+      });
+      return ok === 1;
+    }
+  };
+}
+
+/**
+ * Store selected by <PREFIX>_STORE=memory|file|firestore|redis, with <PREFIX>_FILE and
+ * <PREFIX>_COLLECTION overriding the given defaults; redis uses REDIS_URL.
+ */
+export async function createStoreFromEnv(name, { env = process.env, file, collection, prefix, ttlMs } = {}) {
+  const kind = (env[`${name}_STORE`] || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore({ ttlMs });
+    case 'file':
+      return createFileStore({ path: env[`${name}_FILE`] || file, ttlMs });
+    case 'firestore':
+      return createFirestoreStore({ collection: env[`${name}_COLLECTION`] || collection });
+    case 'redis':
+      return createRedisStore({ url: env.REDIS_URL, prefix, ttlMs });
+    default:
+      throw new Error(`Unknown ${name}_STORE: ${kind}`);
+  }
+}
@@ -0,0 +1,127 @@
+import Stripe from 'stripe';
+import { metrics } from './metrics.js';
+
+/*
+ * Stripe accounts: which endpoint secrets verify a webhook delivery and which API client
+ * expands the event's invoice/customer.
+ *
+ *   STRIPE_SECRET_KEY / STRIPE_WEBHOOK_SECRET                  platform (or only) account
+ *   STRIPE_SECRET_KEY_<BRAND> / STRIPE_WEBHOOK_SECRET_<BRAND>  a brand's own account
+ *
+ * Webhook secrets are comma lists ("whsec_new,whsec_old"): during a rotation both are
+ * accepted and the old one is removed once Stripe signs with the new one only.
+ *
+ * brands.<key>.stripeAccount (acct_...) ties a Connect account to a brand: events with
+ * event.account use that brand's key when it has one, otherwise the platform key on behalf
+ * of the connected account (Stripe-Account header).
+ */
+
+const stripeSeconds = metrics.histogram('mailer_stripe_request_duration_seconds', 'Stripe API latency', ['method', 'path', 'status']);
+// /v1/invoices/in_123 → /v1/invoices/:id (ids would make a series per object). An id is a whole
+// segment: prefix(es) (in_, sub_sched_) and a random part with a digit or capital, so resource
+// names such as payment_intents or line_items are kept.
+const pathTemplate = (path) =>
+  String(path || '')
+    .split('?')[0]
+    .replace(/\/[a-z]+(?:_[a-z]+)*_(?=[a-z]*[0-9A-Z])[A-Za-z0-9]+(?=\/|$)/g, '/:id');
+
+const envKey = (brand) => brand.toUpperCase().replace(/-/g, '_');
+const secretList = (v) =>
+  String(v || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+export function createStripeAccounts({ brands, env = process.env }) {
+  const platform = { key: env.STRIPE_SECRET_KEY, secrets: secretList(env.STRIPE_WEBHOOK_SECRET) };
+  const byBrand = new Map(
+    brands.keys().map((b) => [
+      b,
+      { key: env[`STRIPE_SECRET_KEY_${envKey(b)}`], secrets: secretList(env[`STRIPE_WEBHOOK_SECRET_${envKey(b)}`]) }
+    ])
+  );
+  const brandByAccount = new Map(
+    brands
+      .keys()
+      .filter((b) => brands.get(b).stripeAccount)
+      .map((b) => [brands.get(b).stripeAccount, b])
+  );
+
+  // one client per key + connected account, reused across requests
+  const clients = new Map();
+  const client = (key, stripeAccount) => {
+    const id = `${key}|${stripeAccount || ''}`;
+    if (!clients.has(id)) {
+      const stripe = new Stripe(key, stripeAccount ? { stripeAccount } : undefined);
+      stripe.on('response', (r) =>
+        stripeSeconds.observe({ method: r.method, path: pathTemplate(r.path), status: String(r.status) }, r.elapsed / 1000)
+      );
+      clients.set(id, stripe);
+    }
+    return clients.get(id);
+  };
+
+  /** [{ secret, brand|null }] in the order they are tried. */
+  function secretsFor(routeBrand) {
+    const own = (b) => byBrand.get(b).secrets.map((secret) => ({ secret, brand: b }));
+    const shared = platform.secrets.map((secret) => ({ secret, brand: null }));
+    if (routeBrand) return [...own(routeBrand), ...shared];
+    return [...shared, ...[...byBrand.keys()].flatMap(own)];
+  }
+
+  return {
+    /** Something to verify with and a key to call the API with. */
+    configured: (routeBrand) =>
+      secretsFor(routeBrand).length > 0 &&
+      Boolean(platform.key || (routeBrand ? byBrand.get(routeBrand).key : [...byBrand.values()].some((a) => a.key))),
+
+    /**
+     * Verify a delivery against every candidate secret (route brand's first).
+     * → { event, brand } where brand owns the matching secret (null for the platform's).
+     * Throws WebhookVerificationError when none matches.
+     */
+    verify(rawBody, signature, { brand: routeBrand } = {}) {
+      let firstError = null;
+      for (const { secret, brand } of secretsFor(routeBrand)) {
+        try {
+          return { event: Stripe.webhooks.constructEvent(rawBody, signature, secret), brand };
+        } catch (e) {
+          firstError = firstError || e;
+        }
+      }
+      throw new WebhookVerificationError(firstError?.message || 'no webhook secret configured');
+    },
+
+    /**
+     * API client for an event plus the brand its account belongs to (null when unknown).
+     * Connect: event.account → the account's brand (own key) or the platform key on its behalf.
+     * Otherwise: the brand whose secret verified the event, falling back to the platform key.
+     */
+    forEvent(event, { brand: secretBrand } = {}) {
+      const accountBrand = event.account ? brandByAccount.get(event.account) || null : null;
+      const brand = accountBrand || secretBrand || null;
+      const own = brand && byBrand.get(brand).key;
+      if (own) return { stripe: client(own), brand };
+      if (!platform.key) throw new Error(`No Stripe API key for ${brand || 'the platform account'}`);
+      return { stripe: client(platform.key, event.account), brand };
+    },
+
+    /**
+     * API client for looking things up in a brand's account (admin routes): its own key, else the
+     * platform key, on behalf of its Connect account if it has one. No brand → the platform account.
+     */
+    forBrand(brand) {
+      const own = brand && byBrand.get(brand)?.key;
+      if (own) return client(own);
+      if (!platform.key) throw new Error(`No Stripe API key for ${brand || 'the platform account'}`);
+      return client(platform.key, brand ? brands.get(brand).stripeAccount : undefined);
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+import juice from 'juice';
+import { createGcsStore, createCachedStore, cacheOptionsFromEnv, cacheLookups } from './templateStore.js';
+
+/*
+ * Brand stylesheets, resolved once and inlined once per template + stylesheet version.
+ *
+ * brands/<brand>.json may declare the stylesheet as
+ *   "assets": { "css": "css/yokweb.css" }          path in the brand's asset store (ASSETS_DIR / bucket)
+ *   "assets": { "cssUrl": "gs://bucket/email.css" } or https://storage.googleapis.com/bucket/email.css
+ *                                                  → read through a cached GCS store
+ *   "assets": { "cssUrl": "https://cdn.example/email.css" } → HTTP, cached for TEMPLATE_CACHE_TTL_MS
+ *
+ * loadStylesheet() never throws: problems come back as { error } so renderEmail can report them.
+ */
+
+const FETCH_TIMEOUT_MS = Number(process.env.CSS_FETCH_TIMEOUT_MS) || 5000;
+const MAX_INLINED = 500;
+
+const sha1 = (s) => createHash('sha1').update(s).digest('hex');
+
+// https://storage.googleapis.com/<bucket>/<path>?v=… or gs://<bucket>/<path> → { bucket, path }
+function gcsObject(url) {
+  const m =
+    url.match(/^gs:\/\/([^/]+)\/([^?#]+)/) || url.match(/^https:\/\/storage\.(?:googleapis|cloud\.google)\.com\/([^/]+)\/([^?#]+)/);
+  return m ? { bucket: m[1], path: decodeURIComponent(m[2]) } : null;
+}
+
+const bucketStores = new Map();
+function bucketStore(bucket) {
+  if (!bucketStores.has(bucket)) {
+    bucketStores.set(bucket, createCachedStore(createGcsStore(`gs://${bucket}`), { ...cacheOptionsFromEnv(), name: 'stylesheets' }));
+  }
+  return bucketStores.get(bucket);
+}
+
+// url → { css, version, expires } or { error, expires }; a failed refresh keeps serving the
+// last good copy, and a failing URL is not retried on every render (timeouts cost latency)
+const httpCache = new Map();
+async function fetchStylesheet(url) {
+  const cached = httpCache.get(url);
+  if (cached && cached.expires > Date.now()) {
+    cacheLookups.inc({ cache: 'stylesheet_urls', result: cached.error ? 'miss' : 'hit' });
+    if (cached.error) throw new Error(cached.error);
+    return cached;
+  }
+  cacheLookups.inc({ cache: 'stylesheet_urls', result: 'reloaded' });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const css = await res.text();
+    const ttlMs = cacheOptionsFromEnv().ttlMs ?? 5 * 60 * 1000;
+    const entry = { css, version: sha1(css), expires: Date.now() + ttlMs };
+    httpCache.set(url, entry);
+    return entry;
+  } catch (e) {
+    const reason = e.name === 'AbortError' ? `timed out after ${FETCH_TIMEOUT_MS} ms` : e.message;
+    if (cached?.css) return { ...cached, stale: reason };
+    const missTtlMs = cacheOptionsFromEnv().missTtlMs ?? 60 * 1000;
+    httpCache.set(url, { error: reason, expires: Date.now() + missTtlMs });
+    throw new Error(reason);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * The brand's stylesheet: { css, version, source, warning? }, { error, source } when it is
+ * configured but unavailable, or null when the brand has none.
+ */
+export async function loadStylesheet(brand, { assetStore } = {}) {
+  const rel = brand?.assets?.css;
+  const url = brand?.assets?.cssUrl;
+  if (!rel && !url) return null;
+
+  if (rel) {
+    const source = `${assetStore?.root || '(no asset store)'}/${rel}`;
+    if (!assetStore) return { error: 'no asset store configured (ASSETS_DIR / ASSETS_BUCKET)', source };
+    try {
+      const hit = await assetStore.get(rel);
+      return hit ? { css: hit.text, version: `${rel}@${hit.version}`, source: hit.path } : { error: 'not found', source };
+    } catch (e) {
+      return { error: e.message, source };
+    }
+  }
+
+  const obj = gcsObject(url);
+  if (obj) {
+    try {
+      const hit = await bucketStore(obj.bucket).get(obj.path);
+      return hit ? { css: hit.text, version: `${url}@${hit.version}`, source: hit.path } : { error: 'not found', source: url };
+    } catch (e) {
+      return { error: e.message, source: url };
+    }
+  }
+
+  try {
+    const hit = await fetchStylesheet(url);
+    const sheet = { css: hit.css, version: `${url}@${hit.version}`, source: url };
+    return hit.stale ? { ...sheet, warning: `refresh failed (${hit.stale}); using cached copy` } : sheet;
+  } catch (e) {
+    return { error: e.message, source: url };
+  }
+}
+
+// `${kind}:${sha1(src)}:${css version}` → inlined source; LRU-bounded
+const inlined = new Map();
+
+function memo(key, compute) {
+  if (inlined.has(key)) {
+    const v = inlined.get(key);
+    inlined.delete(key);
+    inlined.set(key, v);
+    return v;
+  }
+  const v = compute();
+  inlined.set(key, v);
+  if (inlined.size > MAX_INLINED) inlined.delete(inlined.keys().next().value);
+  return v;
+}
+
+/**
+ * Inline `sheet` into a full HTML template (media queries stay in a <style> block).
+ * Runs on the template source, before Handlebars, so the result is reused for every render
+ * until the template or the stylesheet changes.
+ */
+export function inlineTemplate(html, sheet) {
+  if (!sheet?.css) return html;
+  return memo(`doc:${sha1(html)}:${sheet.version}`, () => {
+    const injected = html.includes('</head>')
+      ? html.replace('</head>', `<style>${sheet.css}</style></head>`)
+      : `<style>${sheet.css}</style>${html}`;
+    return juice(injected);
+  });
+}
+
+/** Inline `sheet` into a partial (fragment): styles only, no <style> block. */
+export function inlineFragment(html, sheet) {
+  if (!sheet?.css) return html;
+  return memo(`frag:${sha1(html)}:${sheet.version}`, () => juice.inlineContent(html, sheet.css));
+}
+
+/** Forget fetched stylesheets (GCS-backed ones are purged with their store). */
+export function purgeStylesheets(prefix = '') {
+  let n = 0;
+  for (const store of bucketStores.values()) n += store.purge(prefix);
+  for (const url of [...httpCache.keys()]) {
+    if (url.includes(prefix)) {
+      httpCache.delete(url);
+      n += 1;
+    }
+  }
+  return n;
+}
@@ -0,0 +1,168 @@
+import { createStoreFromEnv } from './stores.js';
+
+/*
+ * Persistent suppression list fed by SES event notifications (via SNS).
+ *
+ *   Bounce (Permanent)          → suppressed, reason "bounce"
+ *   Bounce (Transient/Undetermined) → counted; suppressed after `softBounceLimit` in a row
+ *   Complaint                   → suppressed, reason "complaint"
+ *   Delivery                    → resets the soft-bounce count of a not-yet-suppressed address
+ *
+ * Record: { email, suppressed, reason, bounceType, bounceSubType, feedbackType,
+ *           softBounces, at, lastEventAt, source }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normEmail = (e) => String(e || '').trim().toLowerCase();
+const keyFor = (email) => encodeURIComponent(normEmail(email));
+
+// "Jane <jane@x.com>" → "jane@x.com"
+const bareAddress = (v) => normEmail(String(v || '').match(/<([^>]+)>/)?.[1] || v);
+
+/**
+ * Normalize an SES event (configuration-set "eventType" or identity "notificationType" shape).
+ * Returns { type, timestamp, recipients: [{ email, ...details }] } or null for other events.
+ */
+export function parseSesEvent(payload) {
+  const type = payload?.eventType || payload?.notificationType;
+  const mailTo = payload?.mail?.destination || [];
+  switch (type) {
+    case 'Bounce': {
+      const b = payload.bounce || {};
+      return {
+        type,
+        timestamp: b.timestamp || payload.mail?.timestamp,
+        recipients: (b.bouncedRecipients || []).map((r) => ({
+          email: bareAddress(r.emailAddress),
+          bounceType: b.bounceType,
+          bounceSubType: b.bounceSubType,
+          diagnostic: r.diagnosticCode
+        }))
+      };
+    }
+    case 'Complaint': {
+      const c = payload.complaint || {};
+      return {
+        type,
+        timestamp: c.timestamp || payload.mail?.timestamp,
+        recipients: (c.complainedRecipients || []).map((r) => ({
+          email: bareAddress(r.emailAddress),
+          feedbackType: c.complaintFeedbackType
+        }))
+      };
+    }
+    case 'Delivery': {
+      const d = payload.delivery || {};
+      return {
+        type,
+        timestamp: d.timestamp || payload.mail?.timestamp,
+        recipients: (d.recipients || mailTo).map((e) => ({ email: bareAddress(e) }))
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+export function createSuppressionList(store, { softBounceLimit = 3 } = {}) {
+  const now = () => new Date().toISOString();
+
+  const list = {
+    store,
+
+    /** The suppression record for `email` if it must not be mailed, else null. */
+    async get(email) {
+      const rec = await store.get(keyFor(email));
+      return rec?.suppressed ? rec : null;
+    },
+
+    async suppress(email, info = {}) {
+      const existing = (await store.get(keyFor(email))) || {};
+      const rec = {
+        ...existing,
+        ...info,
+        email: normEmail(email),
+        suppressed: true,
+        at: existing.suppressed ? existing.at : info.at || now(),
+        lastEventAt: info.at || now()
+      };
+      await store.put(keyFor(email), rec);
+      return rec;
+    },
+
+    /** Apply one parsed SES event; returns [{ email, action }] for logging. */
+    async applySesEvent(evt, { source = 'ses-sns' } = {}) {
+      const results = [];
+      for (const r of evt.recipients) {
+        if (!r.email) continue;
+        const existing = await store.get(keyFor(r.email));
+        let action = 'ignored';
+
+        if (evt.type === 'Complaint') {
+          await list.suppress(r.email, { reason: 'complaint', feedbackType: r.feedbackType, at: evt.timestamp, source });
+          action = 'suppressed';
+        } else if (evt.type === 'Bounce' && r.bounceType === 'Permanent') {
+          await list.suppress(r.email, {
+            reason: 'bounce',
+            bounceType: r.bounceType,
+            bounceSubType: r.bounceSubType,
+            diagnostic: r.diagnostic,
+            at: evt.timestamp,
+            source
+          });
+          action = 'suppressed';
+        } else if (evt.type === 'Bounce') {
+          const softBounces = (existing?.softBounces || 0) + 1;
+          if (!existing?.suppressed && softBounces >= softBounceLimit) {
+            await list.suppress(r.email, {
+              reason: 'soft-bounce',
+              bounceType: r.bounceType,
+              bounceSubType: r.bounceSubType,
+              softBounces,
+              at: evt.timestamp,
+              source
+            });
+            action = 'suppressed';
+          } else {
+            await store.put(keyFor(r.email), {
+              suppressed: false,
+              ...existing,
+              email: r.email,
+              softBounces,
+              bounceType: r.bounceType,
+              bounceSubType: r.bounceSubType,
+              lastEventAt: evt.timestamp || now(),
+              source
+            });
+            action = 'soft-bounce';
+          }
+        } else if (evt.type === 'Delivery' && existing && !existing.suppressed && existing.softBounces) {
+          await store.put(keyFor(r.email), { ...existing, softBounces: 0, lastEventAt: evt.timestamp || now() });
+          action = 'reset';
+        }
+        results.push({ email: r.email, action });
+      }
+      return results;
+    }
+  };
+  return list;
+}
+
+/**
+ * Suppression list selected by env:
+ *   SUPPRESSION_STORE=memory|file|firestore|redis (default memory)
+ *   SUPPRESSION_FILE=./.data/suppression.json
+ *   SUPPRESSION_COLLECTION=email-suppression (Firestore)
+ *   SUPPRESSION_SOFT_BOUNCES=3
+ */
+export async function createSuppressionListFromEnv(env = process.env) {
+  const store = await createStoreFromEnv('SUPPRESSION', {
+    env,
+    file: './.data/suppression.json',
+    collection: 'email-suppression',
+    prefix: 'suppression:',
+    ttlMs: 365 * DAY_MS
+  });
+  return createSuppressionList(store, { softBounceLimit: Number(env.SUPPRESSION_SOFT_BOUNCES) || 3 });
+}
@@ -0,0 +1,67 @@
+import { invoiceAmounts } from './format.js';
+import { servicesOf } from './invoiceLines.js';
+
+/*
+ * The data every template sees (before renderEmail adds brand, locale, t, ...).
+ * scripts/lint-templates.js builds its placeholder schema from these same functions,
+ * so a field added here is automatically known to the linter.
+ */
+
+/**
+ * systemData for renderEmail (and the flat vars used by the catalog fallback).
+ * Money and dates are preformatted for the resolved locale and brand time zone (src/format.js);
+ * `details` carries event-specific values (refund amount, retry date, ...).
+ */
+export function buildSystemData({ inv, customer, fmt, details = {} }) {
+  const addr = inv.customer_address || customer?.address || null;
+  const name = inv.customer_name || customer?.name || '';
+  const amounts = invoiceAmounts(inv, fmt);
+  return {
+    invoiceNo: inv.number || inv.id,
+    ...amounts,
+    customerName: name,
+    customerEmail: inv.customer_email || customer?.email || '',
+    billing: {
+      name,
+      address_line1: addr?.line1 || '',
+      address_line2: addr?.line2 || '',
+      postcode: addr?.postal_code || '',
+      city: addr?.city || '',
+      country: addr?.country || '',
+      vat_id: inv.customer_tax_ids?.[0]?.value || ''
+    },
+    hostedInvoiceUrl: inv.hosted_invoice_url || '',
+    invoicePdf: inv.invoice_pdf || '',
+    ctaUrl: inv.hosted_invoice_url || '',
+    lineCount: amounts.lines.length,
+    // every service on the invoice (line/price/product metadata), primary line's first
+    services: servicesOf(inv.lines?.data),
+    ...details
+  };
+}
+
+/** Event-specific template variables (failure reason, retry date, refund, period). */
+export function buildEventDetails({ route, inv, fmt }) {
+  switch (route.notificationId) {
+    case 'payment-failed': {
+      const pi = typeof inv.payment_intent === 'object' ? inv.payment_intent : null;
+      const ch = typeof inv.charge === 'object' ? inv.charge : null;
+      return {
+        failureReason: pi?.last_payment_error?.message || ch?.failure_message || '',
+        nextRetry: fmt.date(inv.next_payment_attempt),
+        attemptCount: inv.attempt_count || 1
+      };
+    }
+    case 'refund-issued':
+      return {
+        refundAmount: fmt.money(route.refundAmount, route.refundCurrency || route.charge?.currency || inv.currency)
+      };
+    case 'payment-paid-sub-renew': {
+      // invoice.period_end looks back one period on subscription invoices; use the line period
+      const line = inv?.lines?.data?.find((l) => l.type === 'subscription') || inv?.lines?.data?.[0];
+      return { periodEnd: fmt.date(line?.period?.end || inv.period_end) };
+    }
+    default:
+      return {};
+  }
+}
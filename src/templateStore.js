@@ -0,0 +1,264 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readGcsFile, statGcsFile, listGcsFiles } from './utils/gcs.js';
+import { metrics } from './metrics.js';
+
+/*
+ * Template and asset stores. Every backend uses the bucket layout:
+ *
+ *   <brand>/<notification>/<locale>.html          <brand>/<notification>/<locale>.subject.txt
+ *   <brand>/<notification>/<locale>.txt           (optional hand-written text part)
+ *   <brand>/services/<service>/<notification>/<locale>.html
+ *   <brand>/services/<service>/<locale>.html      (payment-paid only)
+ *   [<brand>/]partials/<name>.html
+ *   brands/<brand>.json                           (asset stores)
+ *
+ *   get(rel)  → { text, path, version } or null when the file does not exist (other errors throw)
+ *   stat(rel) → { version } or null; version is the GCS generation or the local mtime+size
+ *   list()    → every file path relative to the store root (used by the template linter)
+ *
+ * Stores built from env are wrapped in createCachedStore: hits are kept for
+ * TEMPLATE_CACHE_TTL_MS (default 5 min), misses for TEMPLATE_CACHE_MISS_TTL_MS (default 1 min).
+ * An expired hit is revalidated with stat() and only re-downloaded when its version changed.
+ * purge() (POST /admin/templates/purge, /hooks/templates) makes edits visible immediately.
+ * Lookups are counted per cache name in mailer_cache_lookups_total (GET /metrics).
+ *
+ * Templates are layered, first hit wins:
+ *   TEMPLATES_DIR           local overrides (development, tests)
+ *   TEMPLATES_BUCKET        GCS
+ *   TEMPLATES_DEFAULTS_DIR  defaults baked into the image (./templates; "off" disables)
+ */
+
+const DEFAULT_TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+
+// Accept both "gs://bucket" and a bare bucket name (index.js has always used the latter)
+export const gcsRoot = (v) => (!v ? '' : v.startsWith('gs://') ? v.replace(/\/+$/, '') : `gs://${v}`);
+
+/** A store could not answer (GCS timeout, 5xx, auth); unlike a miss, nothing may be assumed. */
+export class TemplateStoreError extends Error {
+  constructor(rel, cause) {
+    super(`Template store error for ${rel}: ${cause?.message || cause}`, { cause });
+    this.name = 'TemplateStoreError';
+  }
+}
+
+const isMissing = (e) => e?.code === 'ENOENT' || e?.code === 'EISDIR' || e?.code === 'ENOTDIR' || e?.code === 404;
+
+export function createLocalStore(dir) {
+  const root = path.resolve(dir);
+  const walk = async (rel = '') => {
+    const out = [];
+    let entries;
+    try {
+      entries = await readdir(path.join(root, rel), { withFileTypes: true });
+    } catch (e) {
+      if (isMissing(e)) return out;
+      throw e;
+    }
+    for (const ent of entries) {
+      const child = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) out.push(...(await walk(child)));
+      else if (ent.isFile()) out.push(child);
+    }
+    return out;
+  };
+
+  // keep lookups inside the root even if a brand/locale value contains ".."
+  const resolve = (rel) => {
+    const p = path.join(root, rel);
+    return p.startsWith(root + path.sep) ? p : null;
+  };
+  const statFile = async (p) => {
+    const st = await stat(p);
+    return { version: `${st.mtimeMs}:${st.size}` };
+  };
+
+  return {
+    kind: 'local',
+    root,
+    async get(rel) {
+      const p = resolve(rel);
+      if (!p) return null;
+      try {
+        const { version } = await statFile(p);
+        return { text: await readFile(p, 'utf8'), path: p, version };
+      } catch (e) {
+        if (isMissing(e)) return null;
+        throw e;
+      }
+    },
+    async stat(rel) {
+      const p = resolve(rel);
+      if (!p) return null;
+      try {
+        return await statFile(p);
+      } catch (e) {
+        if (isMissing(e)) return null;
+        throw e;
+      }
+    },
+    list: () => walk()
+  };
+}
+
+export function createGcsStore(url) {
+  const root = gcsRoot(url);
+  return {
+    kind: 'gcs',
+    root,
+    async get(rel) {
+      const p = `${root}/${rel}`;
+      try {
+        const { text, generation } = await readGcsFile(p);
+        return { text, path: p, version: generation };
+      } catch (e) {
+        if (isMissing(e)) return null;
+        throw e;
+      }
+    },
+    async stat(rel) {
+      const st = await statGcsFile(`${root}/${rel}`);
+      return st && { version: st.generation };
+    },
+    list: () => listGcsFiles(root)
+  };
+}
+
+/**
+ * First store that has the file wins; list() is the union. Only a clean miss falls through to
+ * the layers below: when a layer fails (e.g. a GCS outage) its error is thrown, so a brand's
+ * override is never silently replaced by the built-in default.
+ */
+export function createLayeredStore(stores) {
+  if (stores.length === 1) return stores[0];
+  return {
+    kind: 'layered',
+    root: stores.map((s) => s.root).join(' > '),
+    layers: stores,
+    async get(rel) {
+      for (const [i, s] of stores.entries()) {
+        const hit = await s.get(rel);
+        // the layer is part of the version: a new override must not look "unchanged"
+        if (hit) return { ...hit, version: `${i}:${hit.version}` };
+      }
+      return null;
+    },
+    async stat(rel) {
+      for (const [i, s] of stores.entries()) {
+        const st = await s.stat(rel);
+        if (st) return { version: `${i}:${st.version}` };
+      }
+      return null;
+    },
+    async list() {
+      const all = await Promise.all(stores.map((s) => s.list()));
+      return [...new Set(all.flat())];
+    }
+  };
+}
+
+export const cacheLookups = metrics.counter(
+  'mailer_cache_lookups_total',
+  'Cached store lookups: hit / miss (remembered as missing) from memory, revalidated or reloaded from the backend',
+  ['cache', 'result']
+);
+
+/**
+ * TTL cache in front of a store, with negative caching and version revalidation.
+ * Concurrent misses for the same path share one backend request. `name` labels its metrics.
+ */
+export function createCachedStore(
+  store,
+  { ttlMs = 5 * 60 * 1000, missTtlMs = 60 * 1000, maxEntries = 2000, name = 'templates' } = {}
+) {
+  const entries = new Map(); // rel → { hit, expires } (insertion order ≈ LRU)
+  const inflight = new Map();
+  const counters = { hits: 0, misses: 0, revalidated: 0, reloaded: 0 };
+  const count = (result) => {
+    counters[result === 'hit' ? 'hits' : result === 'miss' ? 'misses' : result] += 1;
+    cacheLookups.inc({ cache: name, result });
+  };
+
+  const remember = (rel, hit) => {
+    const ttl = hit ? ttlMs : missTtlMs;
+    entries.delete(rel);
+    if (ttl <= 0) return;
+    entries.set(rel, { hit, expires: Date.now() + ttl });
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  async function load(rel, stale) {
+    // an expired hit costs one metadata call when unchanged instead of a download
+    if (stale?.hit && store.stat) {
+      const st = await store.stat(rel);
+      if (st && st.version === stale.hit.version) {
+        count('revalidated');
+        remember(rel, stale.hit);
+        return stale.hit;
+      }
+    }
+    count('reloaded');
+    const hit = await store.get(rel);
+    remember(rel, hit);
+    return hit;
+  }
+
+  return {
+    kind: store.kind,
+    root: store.root,
+    async get(rel) {
+      const cached = entries.get(rel);
+      if (cached && cached.expires > Date.now()) {
+        count(cached.hit ? 'hit' : 'miss');
+        return cached.hit;
+      }
+      if (!inflight.has(rel)) {
+        inflight.set(rel, load(rel, cached).finally(() => inflight.delete(rel)));
+      }
+      return inflight.get(rel);
+    },
+    stat: (rel) => store.stat(rel),
+    list: () => store.list(),
+    /** Drop cached entries whose path starts with `prefix` (all when empty); returns the count. */
+    purge(prefix = '') {
+      let n = 0;
+      for (const rel of [...entries.keys()]) {
+        if (rel.startsWith(prefix)) {
+          entries.delete(rel);
+          n += 1;
+        }
+      }
+      return n;
+    },
+    stats: () => ({ entries: entries.size, ...counters })
+  };
+}
+
+const envMs = (v) => (v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : undefined);
+export const cacheOptionsFromEnv = (env = process.env) => ({
+  ttlMs: envMs(env.TEMPLATE_CACHE_TTL_MS),
+  missTtlMs: envMs(env.TEMPLATE_CACHE_MISS_TTL_MS)
+});
+
+/** gs://bucket/prefix → GCS store, anything else → local directory. */
+export const openStore = (root) => (root.startsWith('gs://') ? createGcsStore(root) : createLocalStore(root));
+
+export function createTemplateStoreFromEnv(env = process.env) {
+  const defaults = env.TEMPLATES_DEFAULTS_DIR ?? DEFAULT_TEMPLATES_DIR;
+  const layers = [
+    env.TEMPLATES_DIR && createLocalStore(env.TEMPLATES_DIR),
+    env.TEMPLATES_BUCKET && createGcsStore(env.TEMPLATES_BUCKET),
+    defaults && defaults !== 'off' && createLocalStore(defaults)
+  ].filter(Boolean);
+  return createCachedStore(createLayeredStore(layers), { ...cacheOptionsFromEnv(env), name: 'templates' });
+}
+
+/**
+ * Asset store for one bucket (the brand's assetsBucket or ASSETS_BUCKET), with ASSETS_DIR
+ * layered on top when set. Returns null when neither is configured.
+ */
+export function createAssetStore(bucket, env = process.env) {
+  const layers = [env.ASSETS_DIR && createLocalStore(env.ASSETS_DIR), bucket && createGcsStore(bucket)].filter(Boolean);
+  return layers.length ? createCachedStore(createLayeredStore(layers), { ...cacheOptionsFromEnv(env), name: 'assets' }) : null;
+}
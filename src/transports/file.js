@@ -0,0 +1,31 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { tagHeaders } from './headers.js';
+import { buildMimeMessage } from './mime.js';
+import { logger } from '../logger.js';
+
+/**
+ * Local sink: writes every message as an .eml file (open it in any mail client).
+ * Lets the webhook run end-to-end without provider credentials.
+ */
+export function createFileTransport({ dir = './out/mail', configurationSet }) {
+  return {
+    name: 'file',
+    async send(msg) {
+      const id = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+      const raw = await buildMimeMessage(msg, {
+        messageId: `<${id}@file-sink.local>`,
+        keepBcc: true,
+        headers: tagHeaders({ tags: msg.tags, configurationSet })
+      });
+
+      const name = [id, msg.tags?.brand, msg.tags?.notification].filter(Boolean).join('-');
+      const file = join(dir, `${name}.eml`);
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, raw);
+      logger.info(`File sink wrote ${file}`, { provider: 'file', file, to: msg.to, cc: msg.cc, bcc: msg.bcc });
+      return { provider: 'file', messageId: `<${id}@file-sink.local>`, file };
+    }
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Provider-neutral headers for transports that build MIME themselves (SMTP, file sink).
+ * SES's SMTP interface understands its own X-SES-* headers, so use those when talking to it.
+ */
+export function tagHeaders({ tags = {}, configurationSet, ses = false }) {
+  const pairs = Object.entries(tags).map(([k, v]) => `${k}=${v}`);
+  const headers = {};
+  if (ses) {
+    if (pairs.length) headers['X-SES-MESSAGE-TAGS'] = pairs.join(', ');
+    if (configurationSet) headers['X-SES-CONFIGURATION-SET'] = configurationSet;
+  } else {
+    if (pairs.length) headers['X-Mail-Tags'] = pairs.join('; ');
+    if (configurationSet) headers['X-Configuration-Set'] = configurationSet;
+  }
+  return headers;
+}
@@ -0,0 +1,95 @@
+import { classifySendError, isRecipientError } from '../sendQueue.js';
+import { createSesTransport } from './ses.js';
+import { createMailgunTransport } from './mailgun.js';
+import { createSmtpTransport } from './smtp.js';
+import { createFileTransport } from './file.js';
+import { metrics } from '../metrics.js';
+
+/*
+ * Mail transports. Every transport is { name, send(msg) -> { provider, messageId } } where
+ *
+ *   msg = { from, to, cc, bcc, replyTo, subject, text, html, attachments, tags: { brand, service, notification, locale } }
+ *   cc, bcc = optional address arrays (see src/recipients.js)
+ *   attachments = [{ filename, contentType, content }] with base64 content (see src/attachments.js)
+ *
+ * Provider settings (region, sending domain, configuration set, ...) come from the brand
+ * config, so queued messages stay provider-neutral and can be re-sent through another one.
+ */
+
+const FACTORIES = {
+  ses: (cfg) => createSesTransport({ region: cfg.region, configurationSet: cfg.configSet }),
+  mailgun: (cfg, env) =>
+    createMailgunTransport({
+      apiKey: env.MAILGUN_API_KEY,
+      domain: cfg.mailgunDomain,
+      region: env.MAILGUN_REGION,
+      configurationSet: cfg.configSet
+    }),
+  smtp: (cfg, env) => createSmtpTransport({ url: cfg.smtpUrl || env.SMTP_URL, configurationSet: cfg.configSet }),
+  file: (cfg, env) => createFileTransport({ dir: env.MAIL_SINK_DIR, configurationSet: cfg.configSet })
+};
+
+const sendSeconds = metrics.histogram(
+  'mailer_transport_send_duration_seconds',
+  'Provider send latency per attempt; result is ok or the error class (throttle, transient, permanent)',
+  ['transport', 'result']
+);
+
+/** The transport with every send attempt timed. */
+function instrumented(t) {
+  return {
+    ...t,
+    async send(msg) {
+      const end = sendSeconds.startTimer({ transport: t.name });
+      try {
+        const resp = await t.send(msg);
+        end({ result: 'ok' });
+        return resp;
+      } catch (err) {
+        end({ result: classifySendError(err) });
+        throw err;
+      }
+    }
+  };
+}
+
+/** "ses,mailgun" or ["ses", "mailgun"] → ["ses", "mailgun"] */
+export function parseTransportList(v) {
+  const list = Array.isArray(v) ? v : String(v || 'ses').split(',');
+  return list.map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Try transports in order. Throttling, transient and sender/account errors fail over to the
+ * next provider; errors about the recipient (suppressed, invalid address) do not, since
+ * another provider would only deliver to an address we must not mail.
+ */
+export function createFailoverTransport(transports) {
+  if (transports.length === 1) return transports[0];
+  return {
+    name: transports.map((t) => t.name).join('>'),
+    async send(msg) {
+      let lastErr;
+      for (const t of transports) {
+        try {
+          return await t.send(msg);
+        } catch (err) {
+          lastErr = err;
+          if (isRecipientError(err)) throw err;
+          console.warn(`Transport ${t.name} failed (${classifySendError(err)}); trying next:`, err?.message || err);
+        }
+      }
+      throw lastErr;
+    }
+  };
+}
+
+/** Build the (failover) transport for one brand config: { transport, region, configSet, mailgunDomain, smtpUrl } */
+export function createBrandTransport(cfg, env = process.env) {
+  const transports = parseTransportList(cfg.transport).map((name) => {
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    return instrumented(factory(cfg, env));
+  });
+  return createFailoverTransport(transports);
+}
@@ -0,0 +1,78 @@
+import fetch from 'node-fetch';
+import { randomBytes } from 'crypto';
+import { logger } from '../logger.js';
+
+const API_BASE = {
+  us: 'https://api.mailgun.net',
+  eu: 'https://api.eu.mailgun.net'
+};
+
+// URLSearchParams cannot carry files: fields + attachments as multipart/form-data
+function multipartBody(form, attachments) {
+  const boundary = `----mailer-${randomBytes(12).toString('hex')}`;
+  const parts = [];
+  for (const [name, value] of form) {
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  }
+  for (const a of attachments) {
+    const filename = a.filename.replace(/["\r\n]/g, '');
+    parts.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="attachment"; filename="${filename}"\r\n` +
+          `Content-Type: ${a.contentType || 'application/octet-stream'}\r\n\r\n`
+      ),
+      Buffer.from(a.content, 'base64'),
+      Buffer.from('\r\n')
+    );
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Mailgun HTTP API (POST /v3/<domain>/messages).
+ * Tags → o:tag "<name>:<value>" plus v:<name> user variables (both show up in Mailgun events);
+ * Mailgun has no configuration sets, so configurationSet is passed as v:configuration_set.
+ */
+export function createMailgunTransport({ apiKey, domain, region = 'us', configurationSet }) {
+  if (!apiKey || !domain) throw new Error('Mailgun transport needs MAILGUN_API_KEY and a sending domain');
+  const url = `${API_BASE[region] || API_BASE.us}/v3/${domain}/messages`;
+  const auth = `Basic ${Buffer.from(`api:${apiKey}`).toString('base64')}`;
+
+  return {
+    name: 'mailgun',
+    async send(msg) {
+      const form = new URLSearchParams();
+      form.append('from', msg.from);
+      form.append('to', msg.to);
+      for (const a of msg.cc || []) form.append('cc', a);
+      for (const a of msg.bcc || []) form.append('bcc', a);
+      form.append('subject', msg.subject);
+      if (msg.text) form.append('text', msg.text);
+      if (msg.html) form.append('html', msg.html);
+      if (msg.replyTo) form.append('h:Reply-To', msg.replyTo);
+      for (const [k, v] of Object.entries(msg.tags || {})) {
+        form.append('o:tag', `${k}:${v}`);
+        form.append(`v:${k}`, String(v));
+      }
+      if (configurationSet) form.append('v:configuration_set', configurationSet);
+
+      let request = { method: 'POST', headers: { Authorization: auth }, body: form };
+      if (msg.attachments?.length) {
+        const { body, contentType } = multipartBody(form, msg.attachments);
+        request = { method: 'POST', headers: { Authorization: auth, 'Content-Type': contentType }, body };
+      }
+      const res = await fetch(url, request);
+      const body = await res.text();
+      if (!res.ok) {
+        const err = new Error(`Mailgun ${res.status}: ${body.slice(0, 300)}`);
+        err.name = 'MailgunError';
+        err.status = res.status;
+        throw err;
+      }
+      const messageId = JSON.parse(body)?.id;
+      logger.info('Sent via Mailgun', { provider: 'mailgun', messageId, to: msg.to, cc: msg.cc, bcc: msg.bcc, domain });
+      return { provider: 'mailgun', messageId };
+    }
+  };
+}
@@ -0,0 +1,33 @@
+import MailComposer from 'nodemailer/lib/mail-composer';
+
+/*
+ * Raw MIME for providers that need the whole message (SES Raw content, the file sink):
+ * multipart/mixed with a multipart/alternative (text + HTML) part and the attachments.
+ */
+
+/** msg.attachments ({ filename, contentType, content: base64 }) → nodemailer attachments */
+export const mailAttachments = (list) =>
+  (list || []).map((a) => ({ filename: a.filename, contentType: a.contentType, content: a.content, encoding: 'base64' }));
+
+/**
+ * Build the RFC 5322 message for `msg` → Buffer. `headers` are added as-is.
+ * Bcc is left out of the headers unless `keepBcc` (the file sink shows it).
+ */
+export function buildMimeMessage(msg, { headers = {}, messageId, keepBcc = false } = {}) {
+  const mail = new MailComposer({
+    from: msg.from,
+    to: msg.to,
+    cc: msg.cc,
+    bcc: msg.bcc,
+    replyTo: msg.replyTo || undefined,
+    subject: msg.subject,
+    text: msg.text || undefined,
+    html: msg.html || undefined,
+    attachments: mailAttachments(msg.attachments),
+    messageId,
+    headers
+  });
+  const node = mail.compile();
+  node.keepBcc = keepBcc;
+  return node.build();
+}
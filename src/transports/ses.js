@@ -0,0 +1,50 @@
+import { SESv2Client, SendEmailCommand } from '@aws-sdk/client-sesv2';
+import { buildMimeMessage } from './mime.js';
+import { logger } from '../logger.js';
+
+const clients = new Map();
+
+/** One SESv2 client per region, shared with the suppression checks in index.js. */
+export function getSesClient(region) {
+  if (!clients.has(region)) clients.set(region, new SESv2Client({ region }));
+  return clients.get(region);
+}
+
+// SES tag values allow [A-Za-z0-9_-.@] only
+const tagValue = (v) => String(v ?? 'unknown').replace(/[^\w.@-]/g, '_') || 'unknown';
+
+/**
+ * Amazon SES v2 (SendEmail). Simple content, or Raw MIME when the message has attachments.
+ * Tags → EmailTags, configurationSet → ConfigurationSetName, replyTo → ReplyToAddresses.
+ */
+export function createSesTransport({ region, configurationSet }) {
+  return {
+    name: 'ses',
+    async send(msg) {
+      const content = msg.attachments?.length
+        ? { Raw: { Data: await buildMimeMessage(msg) } }
+        : {
+            Simple: {
+              Subject: { Data: msg.subject, Charset: 'UTF-8' },
+              Body: {
+                Html: msg.html ? { Data: msg.html, Charset: 'UTF-8' } : undefined,
+                Text: msg.text ? { Data: msg.text, Charset: 'UTF-8' } : undefined
+              }
+            }
+          };
+      const cmd = new SendEmailCommand({
+        FromEmailAddress: msg.from,
+        // Raw content too: Destination is the envelope, so Bcc reaches SES without a header
+        Destination: { ToAddresses: [msg.to], CcAddresses: msg.cc, BccAddresses: msg.bcc },
+        ReplyToAddresses: msg.replyTo ? [msg.replyTo] : [],
+        // message tags for SES analytics/deliverability
+        EmailTags: Object.entries(msg.tags || {}).map(([Name, Value]) => ({ Name, Value: tagValue(Value) })),
+        ConfigurationSetName: configurationSet || undefined,
+        Content: content
+      });
+      const resp = await getSesClient(region).send(cmd);
+      logger.info('Sent via SES', { provider: 'ses', messageId: resp?.MessageId, to: msg.to, cc: msg.cc, bcc: msg.bcc, region });
+      return { provider: 'ses', messageId: resp?.MessageId };
+    }
+  };
+}
@@ -1,7 +1,23 @@
 ﻿import { Storage } from '@google-cloud/storage';
+import { metrics } from '../metrics.js';
 
 const storage = new Storage();
 
+const gcsSeconds = metrics.histogram('mailer_gcs_request_duration_seconds', 'GCS call latency', ['operation', 'result']);
+
+/** Time `fn` as one GCS operation (a 404 counts as "missing", not as an error). */
+async function timed(operation, fn) {
+  const end = gcsSeconds.startTimer({ operation });
+  try {
+    const out = await fn();
+    end({ result: 'ok' });
+    return out;
+  } catch (e) {
+    end({ result: e?.code === 404 ? 'missing' : 'error' });
+    throw e;
+  }
+}
+
 /**
  * Read a GCS text file given a URL like: gs://bucket/path/to/file
  * Returns UTF-8 string.
@@ -9,6 +25,40 @@ const storage = new Storage();
 export async function readGcsText(gcsUrl) {
   const [, , bucketName, ...rest] = gcsUrl.split('/');
   const filePath = rest.join('/');
-  const [buf] = await storage.bucket(bucketName).file(filePath).download();
+  const [buf] = await timed('download', () => storage.bucket(bucketName).file(filePath).download());
   return buf.toString('utf8');
 }
+
+/**
+ * List object names under a gs://bucket/prefix URL, relative to that prefix.
+ */
+export async function listGcsFiles(gcsUrl) {
+  const [, , bucketName, ...rest] = gcsUrl.replace(/\/+$/, '').split('/');
+  const prefix = rest.length ? `${rest.join('/')}/` : '';
+  const [files] = await timed('list', () => storage.bucket(bucketName).getFiles({ prefix }));
+  return files.map((f) => f.name.slice(prefix.length)).filter((n) => n && !n.endsWith('/'));
+}
+
+/**
+ * Read a GCS text file together with its generation, so callers can cheaply check
+ * later whether it changed (see statGcsFile).
+ */
+export async function readGcsFile(gcsUrl) {
+  const [, , bucketName, ...rest] = gcsUrl.split('/');
+  const file = storage.bucket(bucketName).file(rest.join('/'));
+  const [meta] = await timed('metadata', () => file.getMetadata());
+  const [buf] = await timed('download', () => file.download());
+  return { text: buf.toString('utf8'), generation: String(meta.generation), etag: meta.etag };
+}
+
+/** { generation, etag } of a GCS object, or null if it does not exist. */
+export async function statGcsFile(gcsUrl) {
+  const [, , bucketName, ...rest] = gcsUrl.split('/');
+  try {
+    const [meta] = await timed('metadata', () => storage.bucket(bucketName).file(rest.join('/')).getMetadata());
+    return { generation: String(meta.generation), etag: meta.etag };
+  } catch (e) {
+    if (e?.code === 404) return null;
+    throw e;
+  }
+}
@@ -0,0 +1,44 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * A JSON document on local disk, loaded once and rewritten atomically (tmp + rename).
+ * All reads and updates are serialized in-process; not safe across processes.
+ */
+export function openJsonFile(path) {
+  let data = null;
+  let chain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`JSON file ${path} unreadable, starting empty:`, e.message);
+      data = {};
+    }
+    return data;
+  }
+
+  async function flush() {
+    await mkdir(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data), 'utf8');
+    await rename(tmp, path);
+  }
+
+  const serial = (fn) => (chain = chain.then(fn, fn));
+
+  return {
+    path,
+    /** fn(data) -> result; nothing is written */
+    read: (fn) => serial(async () => fn(await load())),
+    /** fn(data) may mutate data; the file is rewritten afterwards */
+    update: (fn) =>
+      serial(async () => {
+        const result = await fn(await load());
+        await flush();
+        return result;
+      })
+  };
+}
@@ -1,21 +1,84 @@
-﻿export function replacePlaceholders(str, data) {
-  // Supports {{key}} and {{key|Default Text}} and dotted keys {{brand.brandName}}
-  return str.replace(/\{\{\s*([.\w]+)(?:\|([^}]+))?\s*\}\}/g, (_, key, defVal) => {
-    const parts = key.split('.');
-    let cur = data, found = true;
-
-    for (const p of parts) {
-      if (cur && Object.prototype.hasOwnProperty.call(cur, p)) {
-        cur = cur[p];
-      } else {
-        found = false;
-        break;
-      }
-    }
-
-    if (found && cur != null) return String(cur);
-
-    // Not found → use default if provided, otherwise leave as-is so you notice
-    return typeof defVal === 'string' ? defVal.trim() : `{{${key}}}`;
+﻿import Handlebars from 'handlebars';
+import { formatMoney, formatDate } from '../format.js';
+
+/*
+ * Handlebars engine for email bodies and subjects.
+ *
+ *   {{customerName}}  {{billing.city}}          – HTML-escaped in bodies (use {{{raw}}} to opt out)
+ *   {{key|Default Text}}                        – legacy default syntax, same as {{default key "Default Text"}}
+ *   {{> header}} {{> footer}}                   – brand partials supplied by the caller
+ *   {{#each lines}}{{description}}: {{amount}}{{/each}}
+ *   {{#if billing.vat_id}}VAT: {{billing.vat_id}}{{/if}}
+ *   {{money raw.tax currency}}                  – Stripe minor units, formatted for @root.locale
+ *   {{date raw.paidAt "short"}}                 – unix seconds, in @root.timeZone
+ *   {{link hostedInvoiceUrl "View invoice"}}    – <a> for http(s)/mailto URLs only
+ */
+
+const hb = Handlebars.create();
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+hb.registerHelper('default', (value, fallback) => (value == null || value === '' ? fallback : value));
+
+hb.registerHelper('eq', (a, b) => a === b);
+
+hb.registerHelper('concat', (...args) => args.slice(0, -1).join(''));
+
+hb.registerHelper('money', (minor, currency, options) => {
+  const root = options.data?.root || {};
+  return formatMoney(minor, typeof currency === 'string' ? currency : root.currency, root.locale);
+});
+
+hb.registerHelper('date', (ts, style, options) => {
+  const opts = typeof style === 'string' ? { dateStyle: style } : {};
+  const root = (options || style).data?.root || {};
+  const seconds = ts instanceof Date ? ts.getTime() / 1000 : typeof ts === 'string' ? Date.parse(ts) / 1000 : ts;
+  return formatDate(seconds, { locale: root.locale, timeZone: root.timeZone, ...opts });
+});
+
+hb.registerHelper('link', (url, label, options) => {
+  const text = typeof label === 'string' ? label : url;
+  if (typeof url !== 'string' || !SAFE_URL.test(url.trim())) return text ?? '';
+  const esc = hb.escapeExpression;
+  return new hb.SafeString(`<a href="${esc(url.trim())}">${esc(text)}</a>`);
+});
+
+// {{key|Default}} → {{default key "Default"}}
+function upgradeLegacySyntax(src) {
+  return src.replace(/\{\{\s*([@.\w]+)\s*\|([^}]*)\}\}/g, (_, key, def) => {
+    const quoted = JSON.stringify(def.trim());
+    return `{{default ${key} ${quoted}}}`;
   });
 }
+
+// Compiled templates keyed by mode + source; bounded so edited templates don't accumulate forever
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+function compile(src, html) {
+  const key = `${html ? 'html' : 'text'}\u0000${src}`;
+  let fn = compiled.get(key);
+  if (!fn) {
+    fn = hb.compile(upgradeLegacySyntax(src), { noEscape: !html });
+    if (compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+    compiled.set(key, fn);
+  }
+  return fn;
+}
+
+/**
+ * Render a template string. `html: true` escapes interpolated values (bodies); use
+ * `html: false` for subjects and plain text. `partials` maps names to template strings.
+ */
+export function renderTemplate(src, data, { html = true, partials = {} } = {}) {
+  const compiledPartials = Object.fromEntries(
+    Object.entries(partials).map(([name, p]) => [name, typeof p === 'function' ? p : compile(p, html)])
+  );
+  return compile(src, html)(data, { partials: compiledPartials });
+}
+
+/** AST of a template (after the legacy-syntax upgrade), for linting. Throws on syntax errors. */
+export const parseTemplate = (src) => hb.parse(upgradeLegacySyntax(src));
+
+/** Names of all registered helpers (built-in and ours). */
+export const helperNames = () => Object.keys(hb.helpers);